@@ -0,0 +1,153 @@
+/**
+ * Cine2Nerdle Helper - Match History Dashboard
+ * Summarises recorded battles: win rate, game length, favourite links and
+ * the genres/decades where the player runs out of answers
+ */
+
+const statusDiv = document.getElementById('status');
+
+// Rows shown in each ranked list
+const TOP_LINKS_SHOWN = 10;
+const STUCK_ROWS_SHOWN = 8;
+const RECENT_GAMES_SHOWN = 20;
+
+function showStatus(message, type = 'info') {
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+  statusDiv.style.display = 'block';
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Count occurrences and return [key, count] pairs, most common first
+ */
+function tally(keys) {
+  const counts = new Map();
+  for (const key of keys) {
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return Array.from(counts.entries()).sort((a, b) => b[1] - a[1]);
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * The movie the player couldn't answer: the opponent's final move in a loss
+ */
+function stuckMovie(match) {
+  const last = match.moves[match.moves.length - 1];
+  return last && last.mine === false ? last : null;
+}
+
+function renderBars(container, rows, emptyText, barClass = '') {
+  if (rows.length === 0) {
+    container.innerHTML = `<div class="empty">${escapeHtml(emptyText)}</div>`;
+    return;
+  }
+  
+  const max = rows[0][1];
+  container.innerHTML = rows.map(([label, count]) => `
+    <div class="bar-row">
+      <span>${escapeHtml(label)}</span>
+      <div class="bar-track"><div class="bar-fill ${barClass}" style="width: ${count / max * 100}%"></div></div>
+      <span class="bar-count">${count}</span>
+    </div>
+  `).join('');
+}
+
+function renderSummary(matches) {
+  const decided = matches.filter(m => m.outcome === 'win' || m.outcome === 'loss');
+  const wins = decided.filter(m => m.outcome === 'win').length;
+  const avgLength = average(matches.map(m => m.moves.length));
+  const avgMine = average(matches.map(m => m.moves.filter(move => move.mine).length));
+  
+  document.getElementById('stat-games').textContent = matches.length;
+  document.getElementById('stat-winrate').textContent =
+    decided.length > 0 ? `${Math.round(wins / decided.length * 100)}%` : '–';
+  document.getElementById('stat-length').textContent = avgLength !== null ? avgLength.toFixed(1) : '–';
+  document.getElementById('stat-my-moves').textContent = avgMine !== null ? avgMine.toFixed(1) : '–';
+}
+
+function renderTopLinks(matches) {
+  const links = [];
+  for (const match of matches) {
+    for (const move of match.moves) {
+      if (move.mine) links.push(...move.connections);
+    }
+  }
+  renderBars(
+    document.getElementById('top-links'),
+    tally(links).slice(0, TOP_LINKS_SHOWN),
+    'No links recorded yet'
+  );
+}
+
+function renderStuck(matches, genres) {
+  const stuck = matches.filter(m => m.outcome === 'loss').map(stuckMovie).filter(Boolean);
+  
+  const genreNames = stuck.flatMap(movie => (movie.genres || []).map(id => genres[id]).filter(Boolean));
+  renderBars(
+    document.getElementById('stuck-genres'),
+    tally(genreNames).slice(0, STUCK_ROWS_SHOWN),
+    stuck.length > 0 ? 'No genre data for those movies' : 'No losses recorded yet',
+    'stuck'
+  );
+  
+  const decades = stuck.filter(movie => movie.year).map(movie => `${Math.floor(movie.year / 10) * 10}s`);
+  renderBars(
+    document.getElementById('stuck-decades'),
+    tally(decades).slice(0, STUCK_ROWS_SHOWN),
+    '',
+    'stuck'
+  );
+}
+
+function renderRecentGames(matches) {
+  const container = document.getElementById('recent-games');
+  const recent = matches.slice(-RECENT_GAMES_SHOWN).reverse();
+  
+  if (recent.length === 0) {
+    container.innerHTML = '<div class="empty">Play a battle with the helper open and it will show up here</div>';
+    return;
+  }
+  
+  container.innerHTML = recent.map(match => {
+    const chain = match.moves.map(move => {
+      const via = move.connections.length > 0 ? ` <span>via ${escapeHtml(move.connections.join(', '))}</span>` : '';
+      return `<span class="${move.mine ? 'mine' : ''}">${escapeHtml(move.localId)}</span>${via}`;
+    }).join(' → ');
+    
+    return `
+      <div class="match">
+        <div class="match-header">
+          <span class="match-outcome ${match.outcome}">${match.outcome.toUpperCase()} · ${match.moves.length} moves</span>
+          <span class="stat-label">${new Date(match.endedAt).toLocaleString()} · <a class="review-link" href="../review/review.html?match=${encodeURIComponent(match.id)}">Review</a></span>
+        </div>
+        <div class="match-chain">${chain}</div>
+      </div>
+    `;
+  }).join('');
+}
+
+async function loadDashboard() {
+  try {
+    const { matchHistory = [] } = await chrome.storage.local.get(['matchHistory']);
+    const { genres = {} } = await chrome.runtime.sendMessage({ type: 'getGenres' });
+    
+    renderSummary(matchHistory);
+    renderTopLinks(matchHistory);
+    renderStuck(matchHistory, genres);
+    renderRecentGames(matchHistory);
+  } catch (err) {
+    showStatus('Failed to load match history: ' + err.message, 'error');
+  }
+}
+
+loadDashboard();
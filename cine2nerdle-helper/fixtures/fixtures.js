@@ -0,0 +1,102 @@
+/**
+ * Cine2Nerdle Helper - Board Fixtures
+ * Parses each board fixture with the board adapter and compares the result
+ * with the JSON the fixture expects
+ *
+ * The boards are synthetic: hand-written to follow the selectors the adapter
+ * knows, not captured from the live site. They catch regressions in the
+ * parsing, not changes to the real page.
+ *
+ * A fixture is a board page under boards/ with a
+ * <script type="application/json" class="expected"> block holding
+ * { chain, playerTurn, gameOver, mode, winConditions }. Win conditions are
+ * compared as parsed ({ genres, decade, target }), not as raw text.
+ */
+
+const FIXTURES = [
+  'classic-setup.html',
+  'classic-more-links.html',
+  'battle2-win-conditions.html',
+  'game-over.html'
+];
+
+const statusDiv = document.getElementById('status');
+const resultsDiv = document.getElementById('results');
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * What the helper reads from a board, in the fixtures' expected shape
+ */
+function describeBoard(doc) {
+  const board = readBoard(doc);
+  const parseConditions = texts => texts.map(text => {
+    const { genres, decade, target } = parseWinCondition(text);
+    return { genres, decade, target };
+  });
+  
+  return {
+    chain: board.chain,
+    playerTurn: board.playerTurn,
+    gameOver: board.gameOver,
+    mode: detectRulesProfile(board.modeText, { profiles: BUILT_IN_RULES_PROFILES }),
+    winConditions: {
+      mine: parseConditions(board.winConditions.mine),
+      opponent: parseConditions(board.winConditions.opponent)
+    }
+  };
+}
+
+/**
+ * Fields whose parsed value differs from the expected one
+ */
+function diffBoard(actual, expected) {
+  return Object.keys(expected)
+    .filter(key => JSON.stringify(actual[key]) !== JSON.stringify(expected[key]))
+    .map(key => `${key}\n  expected ${JSON.stringify(expected[key])}\n  got      ${JSON.stringify(actual[key])}`);
+}
+
+async function runFixture(name) {
+  const response = await fetch(`boards/${name}`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  
+  const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+  const expectedScript = doc.querySelector('script.expected');
+  if (!expectedScript) throw new Error('No expected result in the fixture');
+  
+  return diffBoard(describeBoard(doc), JSON.parse(expectedScript.textContent));
+}
+
+async function runFixtures() {
+  let failed = 0;
+  
+  for (const name of FIXTURES) {
+    let problems;
+    try {
+      problems = await runFixture(name);
+    } catch (e) {
+      console.error(`[Helper] Fixture ${name} failed to load:`, e);
+      problems = [e.message];
+    }
+    if (problems.length > 0) failed++;
+    
+    const div = document.createElement('div');
+    div.className = `fixture ${problems.length > 0 ? 'failed' : ''}`;
+    div.innerHTML = `
+      <div class="fixture-name">${problems.length > 0 ? '✗' : '✓'} ${escapeHtml(name)}</div>
+      ${problems.length > 0 ? `<pre class="fixture-diff">${escapeHtml(problems.join('\n'))}</pre>` : ''}
+    `;
+    resultsDiv.appendChild(div);
+  }
+  
+  statusDiv.textContent = failed > 0
+    ? `${failed} of ${FIXTURES.length} fixtures failed`
+    : `All ${FIXTURES.length} fixtures parsed as expected`;
+  statusDiv.className = `status ${failed > 0 ? 'error' : 'success'}`;
+}
+
+runFixtures();
@@ -0,0 +1,529 @@
+/**
+ * Cine2Nerdle Helper - Dataset Import
+ * Streams bulk TMDB/IMDb files into the local movie graph, and loads the
+ * ranked Top 5000 list
+ */
+
+const statusDiv = document.getElementById('status');
+const clearGraphBtn = document.getElementById('clear-graph-btn');
+
+const BATCH_SIZE = 2000;
+
+// Genre name -> TMDB genre id (IMDb names mostly match ours)
+const GENRE_IDS = {
+  'Action': 28,
+  'Adventure': 12,
+  'Animation': 16,
+  'Comedy': 35,
+  'Crime': 80,
+  'Documentary': 99,
+  'Drama': 18,
+  'Family': 10751,
+  'Fantasy': 14,
+  'History': 36,
+  'Horror': 27,
+  'Music': 10402,
+  'Musical': 10402,
+  'Mystery': 9648,
+  'Romance': 10749,
+  'Sci-Fi': 878,
+  'Science Fiction': 878,
+  'TV Movie': 10770,
+  'Thriller': 53,
+  'War': 10752,
+  'Western': 37
+};
+
+// IMDb principal categories -> helper roles (cast or TMDB crew job names)
+const IMDB_ROLES = {
+  actor: 'cast',
+  actress: 'cast',
+  self: 'cast',
+  director: 'Director',
+  writer: 'Writer',
+  cinematographer: 'Director of Photography',
+  composer: 'Original Music Composer',
+  editor: 'Editor',
+  producer: 'Producer',
+  production_designer: 'Production Design'
+};
+
+// IMDb has no popularity score; approximate one from vote counts so that
+// ~40k votes lands around the setup-phase threshold
+const IMDB_VOTES_PER_POPULARITY_POINT = 5000;
+
+function showStatus(message, type = 'info') {
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+  statusDiv.style.display = 'block';
+}
+
+/**
+ * Stream a (possibly gzipped) file line by line, in batches
+ */
+async function readLines(file, onBatch) {
+  let bytesRead = 0;
+  const counter = new TransformStream({
+    transform(chunk, controller) {
+      bytesRead += chunk.byteLength;
+      controller.enqueue(chunk);
+    }
+  });
+  
+  let stream = file.stream().pipeThrough(counter);
+  if (file.name.endsWith('.gz')) {
+    stream = stream.pipeThrough(new DecompressionStream('gzip'));
+  }
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  
+  let buffer = '';
+  let lineCount = 0;
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (value) buffer += value;
+    
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop();
+    
+    const batch = lines.filter(line => line.trim());
+    if (batch.length > 0) {
+      lineCount += batch.length;
+      await onBatch(batch);
+      showStatus(`Importing ${file.name}: ${Math.round(bytesRead / file.size * 100)}% (${lineCount.toLocaleString()} lines)`);
+    }
+    
+    if (done) break;
+  }
+  
+  return lineCount;
+}
+
+/**
+ * Split parsed records into database-sized writes
+ */
+function createBatcher(write) {
+  let pending = [];
+  return {
+    async add(record) {
+      pending.push(record);
+      if (pending.length >= BATCH_SIZE) await this.flush();
+    },
+    async flush() {
+      if (pending.length === 0) return;
+      const batch = pending;
+      pending = [];
+      await write(batch);
+    }
+  };
+}
+
+/**
+ * Parse a TSV line, turning IMDb's \N into null
+ */
+function parseTsvLine(line) {
+  return line.split('\t').map(value => value === '\\N' ? null : value);
+}
+
+function parseYear(date) {
+  const year = parseInt(date?.substring(0, 4));
+  return Number.isNaN(year) ? null : year;
+}
+
+/**
+ * TMDB credits dump: one movie with its credits per line
+ */
+async function importTmdbCredits(file) {
+  const movies = createBatcher(putGraphMovies);
+  const people = createBatcher(putGraphPeople);
+  const credits = createBatcher(putGraphCredits);
+  
+  await readLines(file, async lines => {
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+      if (!record.id) continue;
+      
+      await movies.add({
+        id: record.id,
+        title: record.title || record.original_title,
+        originalTitle: record.original_title,
+        year: parseYear(record.release_date),
+        genres: record.genre_ids || (record.genres || []).map(g => g.id),
+        popularity: record.popularity,
+        // Credits dumps list the whole cast and crew
+        creditsComplete: Boolean(record.credits || record.cast || record.crew)
+      });
+      
+      const source = record.credits || record;
+      for (const person of source.cast || []) {
+        await people.add({ id: person.id, name: person.name, popularity: person.popularity || 0 });
+        await credits.add({ movieId: record.id, personId: person.id, role: 'cast' });
+        if (/\(voice\)/i.test(person.character || '')) {
+          await credits.add({ movieId: record.id, personId: person.id, role: 'voice' });
+        }
+      }
+      for (const person of source.crew || []) {
+        await people.add({ id: person.id, name: person.name, popularity: person.popularity || 0 });
+        await credits.add({ movieId: record.id, personId: person.id, role: person.job });
+      }
+    }
+  });
+  
+  await movies.flush();
+  await people.flush();
+  await credits.flush();
+}
+
+/**
+ * TMDB daily ID export: { id, original_title, popularity, adult, video } per line
+ */
+async function importTmdbIds(file) {
+  const movies = createBatcher(putGraphMovies);
+  
+  await readLines(file, async lines => {
+    for (const line of lines) {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+      if (!record.id || record.adult || record.video) continue;
+      
+      await movies.add({
+        id: record.id,
+        originalTitle: record.original_title,
+        popularity: record.popularity
+      });
+    }
+  });
+  
+  await movies.flush();
+}
+
+/**
+ * IMDb title.basics: keep movies only
+ */
+async function importImdbBasics(file) {
+  const movies = createBatcher(putGraphMovies);
+  
+  await readLines(file, async lines => {
+    for (const line of lines) {
+      const [id, titleType, title, originalTitle, isAdult, startYear, , , genres] = parseTsvLine(line);
+      if (titleType !== 'movie' || isAdult === '1') continue;
+      
+      await movies.add({
+        id,
+        title,
+        originalTitle,
+        year: parseYear(startYear),
+        genres: (genres || '').split(',').map(g => GENRE_IDS[g]).filter(Boolean)
+      });
+    }
+  });
+  
+  await movies.flush();
+}
+
+/**
+ * IMDb title.ratings: vote counts become a stand-in popularity
+ */
+async function importImdbRatings(file) {
+  const movieIds = await getGraphMovieIds();
+  const movies = createBatcher(putGraphMovies);
+  
+  await readLines(file, async lines => {
+    for (const line of lines) {
+      const [id, , numVotes] = parseTsvLine(line);
+      if (!movieIds.has(id)) continue;
+      
+      const votes = parseInt(numVotes) || 0;
+      await movies.add({ id, voteCount: votes, popularity: votes / IMDB_VOTES_PER_POPULARITY_POINT });
+    }
+  });
+  
+  await movies.flush();
+}
+
+/**
+ * IMDb title.principals: credits for movies already imported
+ */
+async function importImdbPrincipals(file) {
+  const movieIds = await getGraphMovieIds();
+  if (movieIds.size === 0) {
+    throw new Error('Import title.basics first so principals can be matched to movies');
+  }
+  const credits = createBatcher(putGraphCredits);
+  
+  await readLines(file, async lines => {
+    for (const line of lines) {
+      const [movieId, , personId, category] = parseTsvLine(line);
+      const role = IMDB_ROLES[category];
+      if (!role || !movieIds.has(movieId)) continue;
+      
+      await credits.add({ movieId, personId, role });
+    }
+  });
+  
+  await credits.flush();
+}
+
+/**
+ * IMDb name.basics: names for people who have credits
+ */
+async function importImdbNames(file) {
+  const personIds = await getGraphCreditedPersonIds();
+  if (personIds.size === 0) {
+    throw new Error('Import title.principals first so names can be matched to credits');
+  }
+  const people = createBatcher(putGraphPeople);
+  
+  await readLines(file, async lines => {
+    for (const line of lines) {
+      const [id, name] = parseTsvLine(line);
+      if (!personIds.has(id)) continue;
+      
+      await people.add({ id, name, popularity: 0 });
+    }
+  });
+  
+  await people.flush();
+}
+
+/**
+ * Split a CSV line, honouring double-quoted fields
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+/**
+ * Parse one line of a Top 5000 list into { id, title, year, votes }
+ *
+ * columns maps field names to positions once a CSV/TSV header has been seen.
+ * Returns null for a JSON line that doesn't parse.
+ */
+function parseTopListLine(line, columns) {
+  if (line.startsWith('{')) {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      return null;
+    }
+    return {
+      id: record.id ?? null,
+      title: record.title || record.original_title,
+      year: record.year || parseYear(record.release_date),
+      votes: record.vote_count ?? record.votes ?? null
+    };
+  }
+  
+  const fields = line.includes('\t') ? parseTsvLine(line) : parseCsvLine(line);
+  if (columns) {
+    const value = name => columns[name] === undefined ? null : fields[columns[name]];
+    return {
+      id: value('id'),
+      title: value('title'),
+      year: parseYear(value('year')),
+      votes: value('votes') === null ? null : parseFloat(value('votes'))
+    };
+  }
+  
+  // "Title (Year)", or title, year[, votes] without a header
+  const titled = fields.length === 1 && fields[0].match(/^(.+?)\s*\((\d{4})\)$/);
+  if (titled) {
+    return { id: null, title: titled[1], year: parseInt(titled[2]), votes: null };
+  }
+  return {
+    id: null,
+    title: fields[0],
+    year: parseYear(fields[1]),
+    votes: fields[2] ? parseFloat(fields[2]) : null
+  };
+}
+
+// Header names accepted for each Top 5000 list column
+const TOP_LIST_COLUMNS = {
+  id: ['id', 'tmdb_id', 'tconst'],
+  title: ['title', 'primarytitle', 'name'],
+  year: ['year', 'release_date', 'startyear'],
+  votes: ['votes', 'vote_count', 'numvotes']
+};
+
+/**
+ * Map a header row to column positions, or null if the line isn't a header
+ */
+function parseTopListHeader(line) {
+  const fields = (line.includes('\t') ? parseTsvLine(line) : parseCsvLine(line))
+    .map(f => (f || '').toLowerCase());
+  if (!fields.some(f => TOP_LIST_COLUMNS.title.includes(f))) return null;
+  
+  const columns = {};
+  for (const [name, aliases] of Object.entries(TOP_LIST_COLUMNS)) {
+    const index = fields.findIndex(f => aliases.includes(f));
+    if (index !== -1) columns[name] = index;
+  }
+  return columns;
+}
+
+/**
+ * Ranked Top 5000 list: replaces the stored list in one go
+ */
+async function importTopList(file) {
+  const entries = [];
+  let columns = null;
+  let firstLine = true;
+  
+  await readLines(file, async lines => {
+    for (const line of lines) {
+      if (firstLine) {
+        firstLine = false;
+        columns = parseTopListHeader(line);
+        if (columns) continue;
+      }
+      
+      const entry = parseTopListLine(line, columns);
+      if (entry?.title && entry.year) entries.push(entry);
+    }
+  });
+  
+  if (entries.length === 0) {
+    throw new Error('No films found - each line needs a title and a year');
+  }
+  
+  // Rank by votes when every film has them, otherwise keep the file's order
+  if (entries.every(entry => entry.votes !== null && !Number.isNaN(entry.votes))) {
+    entries.sort((a, b) => b.votes - a.votes);
+  }
+  entries.forEach((entry, i) => entry.rank = i + 1);
+  
+  await saveEligibilityList(entries, file.name);
+}
+
+const IMPORTERS = {
+  'top-list': importTopList,
+  'tmdb-credits': importTmdbCredits,
+  'tmdb-ids': importTmdbIds,
+  'imdb-basics': importImdbBasics,
+  'imdb-ratings': importImdbRatings,
+  'imdb-principals': importImdbPrincipals,
+  'imdb-names': importImdbNames
+};
+
+/**
+ * Refresh the graph size display
+ */
+async function updateStats() {
+  try {
+    const stats = await getGraphStats();
+    document.getElementById('stat-movies').textContent = stats.movies.toLocaleString();
+    document.getElementById('stat-people').textContent = stats.people.toLocaleString();
+    document.getElementById('stat-credits').textContent = stats.credits.toLocaleString();
+  } catch (err) {
+    showStatus('Failed to read graph: ' + err.message, 'error');
+  }
+  
+  const eligibility = await loadEligibility();
+  const learned = Object.values(eligibility.learned);
+  document.getElementById('stat-list').textContent = eligibility.list ? eligibility.list.size.toLocaleString() : '–';
+  document.getElementById('stat-learned-in').textContent = learned.filter(l => l.eligible).length.toLocaleString();
+  document.getElementById('stat-learned-out').textContent = learned.filter(l => l.eligible === false && l.explicit).length.toLocaleString();
+}
+
+function setButtonsDisabled(disabled) {
+  document.querySelectorAll('button').forEach(btn => btn.disabled = disabled);
+}
+
+document.querySelectorAll('.import-btn').forEach(btn => {
+  btn.addEventListener('click', async () => {
+    const format = btn.dataset.format;
+    const input = document.querySelector(`input[data-format="${format}"]`);
+    const file = input.files[0];
+    
+    if (!file) {
+      showStatus('Choose a file first', 'error');
+      return;
+    }
+    
+    setButtonsDisabled(true);
+    const started = Date.now();
+    
+    try {
+      await IMPORTERS[format](file);
+      const seconds = Math.round((Date.now() - started) / 1000);
+      showStatus(`Imported ${file.name} in ${seconds}s`, 'success');
+    } catch (err) {
+      showStatus(`Import failed: ${err.message}`, 'error');
+    } finally {
+      setButtonsDisabled(false);
+      updateStats();
+    }
+  });
+});
+
+clearGraphBtn.addEventListener('click', async () => {
+  if (!confirm('This will delete the whole local movie graph. Continue?')) {
+    return;
+  }
+  
+  try {
+    await clearGraph();
+    showStatus('Graph cleared!', 'success');
+  } catch (err) {
+    showStatus('Failed to clear graph: ' + err.message, 'error');
+  }
+  updateStats();
+});
+
+document.getElementById('clear-list-btn').addEventListener('click', async () => {
+  if (!confirm('Remove the imported Top 5000 list? Learned films are kept.')) {
+    return;
+  }
+  
+  await clearEligibility('list');
+  showStatus('Top 5000 list removed', 'success');
+  updateStats();
+});
+
+document.getElementById('clear-learned-btn').addEventListener('click', async () => {
+  if (!confirm('Forget every film learned from real setup phases?')) {
+    return;
+  }
+  
+  await clearEligibility('learned');
+  showStatus('Learned eligibility cleared', 'success');
+  updateStats();
+});
+
+updateStats();
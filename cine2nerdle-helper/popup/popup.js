@@ -6,7 +6,28 @@
 const apiKeyInput = document.getElementById('api-key');
 const saveBtn = document.getElementById('save-btn');
 const clearCacheBtn = document.getElementById('clear-cache-btn');
+const importBtn = document.getElementById('import-btn');
+const historyBtn = document.getElementById('history-btn');
+const practiceBtn = document.getElementById('practice-btn');
+const trainerBtn = document.getElementById('trainer-btn');
+const cacheStatsDiv = document.getElementById('cache-stats');
+const cacheSearchInput = document.getElementById('cache-search');
+const cacheResultsDiv = document.getElementById('cache-results');
 const statusDiv = document.getElementById('status');
+const rulesSelect = document.getElementById('rules-profile');
+const rulesNewBtn = document.getElementById('rules-new-btn');
+const rulesSaveBtn = document.getElementById('rules-save-btn');
+const rulesDeleteBtn = document.getElementById('rules-delete-btn');
+const scoringSelect = document.getElementById('scoring-preset');
+const scoringWeightsDiv = document.getElementById('scoring-weights');
+const scoringSaveBtn = document.getElementById('scoring-save-btn');
+const prefetchEnabledInput = document.getElementById('prefetch-enabled');
+const prefetchBudgetInput = document.getElementById('prefetch-budget');
+const prefetchCandidatesInput = document.getElementById('prefetch-candidates');
+const prefetchSaveBtn = document.getElementById('prefetch-save-btn');
+
+let rulesSettings = null;
+let scoringSettings = null;
 
 function showStatus(message, type = 'info') {
   statusDiv.textContent = message;
@@ -63,29 +84,346 @@ saveBtn.addEventListener('click', async () => {
   }
 });
 
-// Clear cache
+// Clear cache (settings live in separate storage and are never touched)
 clearCacheBtn.addEventListener('click', async () => {
   if (!confirm('This will clear all cached movie data. Continue?')) {
     return;
   }
   
   try {
-    // Get the API key first so we can preserve it
-    const result = await chrome.storage.local.get(['tmdb_api_key', 'priorityFilters']);
+    const response = await chrome.runtime.sendMessage({ type: 'clearCache' });
+    if (!response.success) throw new Error(response.error);
+    
+    showStatus('Cache cleared!', 'success');
+    loadCacheStats();
+    searchCache();
+  } catch (err) {
+    showStatus('Failed to clear cache: ' + err.message, 'error');
+  }
+});
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Show cache size and hit rate
+ */
+async function loadCacheStats() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'getCacheStats' });
+    if (!response.success) throw new Error(response.error);
+    
+    const { entries, byKind, bytes, budgetBytes, hitRate } = response.stats;
+    const hitRateText = hitRate === null ? '–' : `${Math.round(hitRate * 100)}%`;
+    cacheStatsDiv.innerHTML = `
+      <strong>${entries}</strong> entries
+      (${byKind.movie || 0} movies, ${byKind.details || 0} film details, ${byKind.person || 0} people, ${byKind.board || 0} board titles)<br>
+      <strong>${formatBytes(bytes)}</strong> of ${formatBytes(budgetBytes)} ·
+      hit rate <strong>${hitRateText}</strong>
+    `;
+  } catch (err) {
+    cacheStatsDiv.textContent = 'Cache stats unavailable: ' + err.message;
+  }
+}
+
+/**
+ * List cached movies and people matching the search box
+ */
+async function searchCache() {
+  const query = cacheSearchInput.value.trim();
+  cacheResultsDiv.innerHTML = '';
+  if (query.length < 2) return;
+  
+  const response = await chrome.runtime.sendMessage({ type: 'searchCache', query });
+  if (!response.success) {
+    cacheResultsDiv.textContent = response.error;
+    return;
+  }
+  
+  if (response.entries.length === 0) {
+    cacheResultsDiv.innerHTML = '<p class="help-text">Nothing cached matches.</p>';
+    return;
+  }
+  
+  for (const entry of response.entries) {
+    const row = document.createElement('div');
+    row.className = 'cache-result';
+    
+    const label = document.createElement('span');
+    label.textContent = entry.label;
+    const kind = document.createElement('span');
+    kind.className = 'cache-result-kind';
+    kind.textContent = `${entry.kind} · ${formatBytes(entry.bytes)}`;
+    label.appendChild(kind);
+    
+    const button = document.createElement('button');
+    button.className = 'danger';
+    button.textContent = 'Invalidate';
+    button.addEventListener('click', async () => {
+      const result = await chrome.runtime.sendMessage({ type: 'invalidateCache', key: entry.key });
+      if (result.success) {
+        showStatus(`Invalidated ${entry.label}`, 'success');
+        row.remove();
+        loadCacheStats();
+      } else {
+        showStatus('Failed to invalidate: ' + result.error, 'error');
+      }
+    });
+    
+    row.append(label, button);
+    cacheResultsDiv.appendChild(row);
+  }
+}
+
+let searchTimer = null;
+cacheSearchInput.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(searchCache, 250);
+});
+
+loadCacheStats();
+
+// Open the dataset import page
+importBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('import/import.html') });
+});
+
+// Open the match history dashboard
+historyBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('dashboard/dashboard.html') });
+});
+
+// Open the practice battle page
+practiceBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('practice/practice.html') });
+});
+
+// Open the flashcard trainer
+trainerBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('trainer/trainer.html') });
+});
+
+function splitList(text) {
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * One toggle per known credit role, ticked for the profile's roles
+ *
+ * Roles without a toggle go in the "other jobs" box.
+ */
+function showRoleToggles(roles) {
+  const container = document.getElementById('rules-roles');
+  container.innerHTML = '';
+  
+  for (const { role, label } of CREDIT_ROLES) {
+    const toggle = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = role;
+    checkbox.checked = roles.includes(role);
+    toggle.append(checkbox, ` ${label}`);
+    container.appendChild(toggle);
+  }
+  
+  const known = CREDIT_ROLES.map(entry => entry.role);
+  document.getElementById('rules-other-roles').value = roles.filter(role => !known.includes(role)).join(', ');
+}
+
+function getEditedRoles() {
+  const toggled = Array.from(document.querySelectorAll('#rules-roles input:checked'), checkbox => checkbox.value);
+  return [...toggled, ...splitList(document.getElementById('rules-other-roles').value)];
+}
+
+/**
+ * Fill the editor from a profile (or a blank Classic copy for a new one)
+ */
+function showRulesProfile(profile) {
+  const isNew = !profile.id;
+  document.getElementById('rules-name').value = isNew ? '' : profile.name;
+  document.getElementById('rules-detect').value = profile.detect.join(', ');
+  document.getElementById('rules-setup').value = profile.setupMovies;
+  document.getElementById('rules-link-cap').value = profile.linkCap;
+  document.getElementById('rules-pool').value = profile.eligibilityPool;
+  showRoleToggles(profile.roles);
+  document.getElementById('rules-default').checked = !isNew && profile.id === rulesSettings.defaultId;
+  
+  rulesDeleteBtn.disabled = isNew;
+  rulesDeleteBtn.textContent = BUILT_IN_RULES_PROFILES[profile.id] ? 'Reset' : 'Delete';
+}
+
+/**
+ * List the profiles and open one in the editor
+ */
+async function loadRulesEditor(selectedId = null) {
+  rulesSettings = await loadRulesProfiles();
+  const selected = selectedId || rulesSelect.value || rulesSettings.defaultId;
+  
+  rulesSelect.innerHTML = '';
+  for (const profile of Object.values(rulesSettings.profiles)) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.id === rulesSettings.defaultId ? `${profile.name} (default)` : profile.name;
+    rulesSelect.appendChild(option);
+  }
+  
+  rulesSelect.value = getRulesProfile(rulesSettings, selected).id;
+  showRulesProfile(getRulesProfile(rulesSettings, rulesSelect.value));
+}
+
+rulesSelect.addEventListener('change', () => {
+  showRulesProfile(getRulesProfile(rulesSettings, rulesSelect.value));
+});
+
+// Start a custom mode from Classic's rules
+rulesNewBtn.addEventListener('click', () => {
+  rulesSelect.value = '';
+  showRulesProfile({ ...BUILT_IN_RULES_PROFILES[DEFAULT_RULES_PROFILE_ID], id: null, detect: [] });
+  document.getElementById('rules-name').focus();
+});
+
+rulesSaveBtn.addEventListener('click', async () => {
+  try {
+    const profile = validateRulesProfile({
+      id: rulesSelect.value || null,
+      name: document.getElementById('rules-name').value,
+      detect: splitList(document.getElementById('rules-detect').value),
+      setupMovies: document.getElementById('rules-setup').value,
+      linkCap: document.getElementById('rules-link-cap').value,
+      eligibilityPool: document.getElementById('rules-pool').value,
+      roles: getEditedRoles()
+    });
     
-    // Clear everything
-    await chrome.storage.local.clear();
+    if (!rulesSelect.value && rulesSettings.profiles[profile.id]) {
+      throw new Error(`${rulesSettings.profiles[profile.id].name} already exists`);
+    }
     
-    // Restore API key and filters
-    if (result.tmdb_api_key) {
-      await chrome.storage.local.set({ tmdb_api_key: result.tmdb_api_key });
+    await saveRulesProfile(profile);
+    if (document.getElementById('rules-default').checked) {
+      await setDefaultRulesProfile(profile.id);
+    } else if (profile.id === rulesSettings.defaultId) {
+      await setDefaultRulesProfile(DEFAULT_RULES_PROFILE_ID);
     }
-    if (result.priorityFilters) {
-      await chrome.storage.local.set({ priorityFilters: result.priorityFilters });
+    
+    showStatus(`Saved ${profile.name}`, 'success');
+    await loadRulesEditor(profile.id);
+  } catch (err) {
+    showStatus('Failed to save profile: ' + err.message, 'error');
+  }
+});
+
+rulesDeleteBtn.addEventListener('click', async () => {
+  const profile = getRulesProfile(rulesSettings, rulesSelect.value);
+  const builtIn = Boolean(BUILT_IN_RULES_PROFILES[profile.id]);
+  if (!confirm(builtIn ? `Reset ${profile.name} to its built-in rules?` : `Delete ${profile.name}?`)) {
+    return;
+  }
+  
+  try {
+    await deleteRulesProfile(profile.id);
+    showStatus(builtIn ? `Reset ${profile.name}` : `Deleted ${profile.name}`, 'success');
+    await loadRulesEditor(builtIn ? profile.id : null);
+  } catch (err) {
+    showStatus('Failed to delete profile: ' + err.message, 'error');
+  }
+});
+
+loadRulesEditor();
+
+/**
+ * Fill the weight inputs from a strategy
+ */
+function showScoringWeights() {
+  const weights = getScoringWeights(scoringSettings);
+  scoringWeightsDiv.innerHTML = '';
+  
+  for (const [factor, { name }] of Object.entries(SCORING_FACTORS)) {
+    const field = document.createElement('div');
+    field.className = 'rules-field';
+    field.textContent = name;
+    
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = 0;
+    input.max = MAX_SCORING_WEIGHT;
+    input.step = 0.5;
+    input.dataset.factor = factor;
+    input.value = weights[factor] || 0;
+    
+    field.appendChild(input);
+    scoringWeightsDiv.appendChild(field);
+  }
+}
+
+async function loadScoringEditor() {
+  scoringSettings = await loadScoringSettings();
+  
+  scoringSelect.innerHTML = '';
+  for (const [id, preset] of Object.entries(SCORING_PRESETS)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = `${preset.name} – ${preset.description}`;
+    scoringSelect.appendChild(option);
+  }
+  if (scoringSettings.customWeights) {
+    const option = document.createElement('option');
+    option.value = 'custom';
+    option.textContent = 'Custom';
+    scoringSelect.appendChild(option);
+  }
+  
+  scoringSelect.value = scoringSettings.preset;
+  showScoringWeights();
+}
+
+scoringSelect.addEventListener('change', async () => {
+  try {
+    await saveScoringSettings({ preset: scoringSelect.value });
+    await loadScoringEditor();
+  } catch (err) {
+    showStatus('Failed to change strategy: ' + err.message, 'error');
+  }
+});
+
+scoringSaveBtn.addEventListener('click', async () => {
+  try {
+    const weights = {};
+    for (const input of scoringWeightsDiv.querySelectorAll('input')) {
+      weights[input.dataset.factor] = input.value;
     }
     
-    showStatus('Cache cleared!', 'success');
+    await saveScoringSettings({ preset: 'custom', customWeights: validateScoringWeights(weights) });
+    showStatus('Saved custom strategy', 'success');
+    await loadScoringEditor();
   } catch (err) {
-    showStatus('Failed to clear cache: ' + err.message, 'error');
+    showStatus('Failed to save strategy: ' + err.message, 'error');
+  }
+});
+
+loadScoringEditor();
+
+async function loadPrefetchEditor() {
+  const settings = await loadPrefetchSettings();
+  prefetchEnabledInput.checked = settings.enabled;
+  prefetchBudgetInput.value = settings.requestBudget;
+  prefetchCandidatesInput.value = settings.candidates;
+}
+
+prefetchSaveBtn.addEventListener('click', async () => {
+  try {
+    await savePrefetchSettings({
+      enabled: prefetchEnabledInput.checked,
+      requestBudget: prefetchBudgetInput.value,
+      candidates: prefetchCandidatesInput.value
+    });
+    showStatus('Saved prefetch settings', 'success');
+    await loadPrefetchEditor();
+  } catch (err) {
+    showStatus('Failed to save prefetch settings: ' + err.message, 'error');
   }
 });
+
+loadPrefetchEditor();
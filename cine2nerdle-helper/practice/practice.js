@@ -0,0 +1,426 @@
+/**
+ * Cine2Nerdle Helper - Practice Battles
+ * Plays battles against a local bot on cached/imported movie data, using the
+ * same rules and ranking as the sidebar
+ */
+
+const statusDiv = document.getElementById('status');
+const difficultySelect = document.getElementById('difficulty');
+const rulesSelect = document.getElementById('rules-profile');
+const hintsCheckbox = document.getElementById('hints');
+const newBattleBtn = document.getElementById('new-battle-btn');
+const giveUpBtn = document.getElementById('give-up-btn');
+const moveForm = document.getElementById('move-form');
+const moveInput = document.getElementById('move-input');
+const moveBtn = document.getElementById('move-btn');
+
+// The bot "thinks" for at least this long so its moves are easy to follow
+const BOT_MIN_THINK_MS = 1200;
+
+// Hard bot: lookahead over its best trap-ranked options
+const BOT_LOOKAHEAD_CANDIDATES = 8;
+const BOT_LOOKAHEAD_DEPTH = 2;
+const BOT_LOOKAHEAD_BUDGET_MS = 6000;
+
+const HINTS_SHOWN = 10;
+
+let battle = null;
+let battleToken = 0; // Bumped whenever a battle starts or ends, to drop stale bot turns
+let priorityFilters = { genres: [], decade: null, expression: '' };
+let scoringSettings = { preset: DEFAULT_SCORING_PRESET, customWeights: null };
+let eligibility = null;
+let rulesSettings = null;
+let loadPort = null;
+
+function showStatus(message, type = 'info') {
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+  statusDiv.style.display = 'block';
+}
+
+function hideStatus() {
+  statusDiv.style.display = 'none';
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function movieLabel(movie) {
+  return `${movie.title} (${movie.year})`;
+}
+
+/**
+ * Rules profile picked for practice (changes apply from the next battle)
+ */
+function currentRules() {
+  return battle?.rules || getRulesProfile(rulesSettings, rulesSelect.value);
+}
+
+/**
+ * Board state in the shape rankOptions()/checkMove() expect
+ */
+function ruleState() {
+  return {
+    played: battle.played,
+    count: battle.chain.length,
+    usage: battle.usage,
+    filters: priorityFilters,
+    weights: getScoringWeights(scoringSettings),
+    eligibility,
+    rules: currentRules()
+  };
+}
+
+/**
+ * Load a movie's people and filmographies through the sidebar's port
+ */
+function loadMovieData(movie) {
+  if (loadPort) loadPort.disconnect();
+  
+  const localId = movieLabel(movie);
+  const port = chrome.runtime.connect({ name: 'movie-data' });
+  loadPort = port;
+  
+  return new Promise((resolve, reject) => {
+    port.onMessage.addListener(message => {
+      if (message.localId !== localId) return;
+      
+      if (message.type === 'start') {
+        showStatus(`Loading ${localId} — 0/${message.total} people`);
+      } else if (message.type === 'filmography') {
+        showStatus(`Loading ${localId} — ${message.loaded}/${message.total} people`);
+      } else if (message.type === 'done') {
+        loadPort = null;
+        port.disconnect();
+        hideStatus();
+        resolve(message.data);
+      } else if (message.type === 'error') {
+        loadPort = null;
+        port.disconnect();
+        reject(new Error(message.error));
+      }
+    });
+    
+    port.onDisconnect.addListener(() => {
+      if (port !== loadPort) return;
+      loadPort = null;
+      reject(new Error('Lost connection to the extension'));
+    });
+    
+    port.postMessage({ type: 'load', title: movie.title, year: movie.year, localId, movie, rules: currentRules() });
+  });
+}
+
+/**
+ * Play a movie onto the board, burning every link it shares with the last one
+ *
+ * via is the shared people as { id, name }.
+ */
+function playMove(movie, via, mine) {
+  battle.chain.push({ movie, via: via.map(person => person.name), mine });
+  battle.played.add(playedKey(movie));
+  for (const person of via) {
+    battle.usage[person.id] = (battle.usage[person.id] || 0) + 1;
+    battle.linkNames[person.id] = person.name;
+  }
+}
+
+/**
+ * Choose the bot's reply, or null when it has none
+ *
+ * Easy plays shallow links from the bottom half of the Safe ranking, medium
+ * one of its top three, and hard the Aggressive ranking checked with a
+ * lookahead search.
+ */
+async function chooseBotMove(options) {
+  if (options.length === 0) return null;
+  
+  const difficulty = difficultySelect.value;
+  const pick = list => list[Math.floor(Math.random() * list.length)];
+  
+  if (difficulty === 'easy') {
+    return pick(options.slice(Math.floor(options.length / 2)));
+  }
+  if (difficulty === 'medium') {
+    return pick(options.slice(0, 3));
+  }
+  
+  const candidates = options.slice(0, BOT_LOOKAHEAD_CANDIDATES);
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'runLookahead',
+      request: {
+        movie: { id: battle.movieData.id, title: battle.movieData.title, year: battle.movieData.year },
+        candidates: candidates.map(opt => ({ ...opt.movie, via: opt.sharedWith })),
+        played: Array.from(battle.played),
+        usage: battle.usage,
+        boardCount: battle.chain.length,
+        depth: BOT_LOOKAHEAD_DEPTH,
+        timeBudgetMs: BOT_LOOKAHEAD_BUDGET_MS,
+        rules: battle.rules
+      }
+    });
+    
+    if (response.success) {
+      // Outcomes are from the player's side: their loss is the bot's forced win
+      const outcome = opt => response.results[opt.movie.id]?.outcome;
+      return candidates.find(opt => outcome(opt) === 'loss') ||
+        candidates.find(opt => outcome(opt) !== 'win') ||
+        candidates[0];
+    }
+    console.error('[Helper] Bot lookahead failed:', response.error);
+  } catch (err) {
+    console.error('[Helper] Bot lookahead failed:', err);
+  }
+  
+  return candidates[0];
+}
+
+/**
+ * Bot's turn: load the player's movie, reply, then load the reply for the player
+ */
+async function botTurn() {
+  const token = battleToken;
+  battle.turn = 'bot';
+  render();
+  
+  try {
+    const started = Date.now();
+    battle.movieData = await loadMovieData(battle.chain[battle.chain.length - 1].movie);
+    if (token !== battleToken) return;
+    
+    // The bot plays Safe, or Aggressive on hard, whatever the player's strategy
+    const options = rankOptions(battle.movieData, {
+      ...ruleState(),
+      filters: { genres: [], decade: null },
+      weights: SCORING_PRESETS[difficultySelect.value === 'hard' ? 'aggressive' : 'safe'].weights
+    });
+    const choice = await chooseBotMove(options);
+    if (token !== battleToken) return;
+    
+    const thinking = BOT_MIN_THINK_MS - (Date.now() - started);
+    if (thinking > 0) await new Promise(resolve => setTimeout(resolve, thinking));
+    if (token !== battleToken) return;
+    
+    if (!choice) {
+      endBattle('win', `The bot has no reply to ${battle.movieData.title}`);
+      return;
+    }
+    
+    playMove(choice.movie, choice.sharedPeople, false);
+    battle.movieData = await loadMovieData(choice.movie);
+    if (token !== battleToken) return;
+    
+    // Held to the same standard as the bot: no legal reply loses
+    if (rankOptions(battle.movieData, { ...ruleState(), filters: { genres: [], decade: null } }).length === 0) {
+      endBattle('loss', `You have no reply to ${battle.movieData.title}`);
+      return;
+    }
+    
+    battle.turn = 'player';
+    render();
+    moveInput.focus();
+  } catch (err) {
+    if (token !== battleToken) return;
+    endBattle(null, `Battle stopped: ${err.message}`);
+  }
+}
+
+/**
+ * Handle the player's move
+ */
+function submitMove(event) {
+  event.preventDefault();
+  if (!battle || battle.turn !== 'player') return;
+  
+  const text = moveInput.value;
+  if (!text.trim()) return;
+  
+  const movie = findConnectedMovie(battle.movieData, text);
+  if (!movie) {
+    showStatus(`"${text.trim()}" doesn't connect to ${battle.movieData.title} (as far as the helper knows)`, 'error');
+    return;
+  }
+  
+  const check = checkMove(battle.movieData, movie, ruleState());
+  if (!check.legal) {
+    showStatus(`${movieLabel(movie)}: ${check.reason}`, 'error');
+    return;
+  }
+  
+  hideStatus();
+  moveInput.value = '';
+  playMove(movie, check.via, true);
+  botTurn();
+}
+
+function endBattle(outcome, message) {
+  if (loadPort) {
+    loadPort.disconnect();
+    loadPort = null;
+  }
+  battle.turn = 'over';
+  battleToken++;
+  render();
+  
+  const prefix = { win: '🏆 You win! ', loss: '💀 You lose. ' }[outcome] || '';
+  showStatus(prefix + message, outcome === 'win' ? 'success' : outcome === 'loss' ? 'error' : 'info');
+}
+
+function giveUp() {
+  if (!battle || battle.turn !== 'player') return;
+  
+  // Show what was available, which is the point of practising
+  const options = rankOptions(battle.movieData, ruleState()).slice(0, 3);
+  const missed = options.length > 0
+    ? `You could have played ${options.map(opt => movieLabel(opt.movie)).join(', ')}`
+    : `There was nothing left to play from ${battle.movieData.title}`;
+  endBattle('loss', missed);
+}
+
+async function startBattle() {
+  const token = ++battleToken;
+  hideStatus();
+  newBattleBtn.disabled = true;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'getPracticeMovie',
+      minPopularity: TOP_5000_POPULARITY_THRESHOLD
+    });
+    if (!response.success) throw new Error(response.error);
+    
+    battle = {
+      chain: [],
+      played: new Set(),
+      usage: {},
+      linkNames: {},
+      movieData: null,
+      rules: getRulesProfile(rulesSettings, rulesSelect.value),
+      turn: 'loading'
+    };
+    playMove(response.movie, [], null);
+    render();
+    
+    battle.movieData = await loadMovieData(response.movie);
+    if (token !== battleToken) return;
+    
+    battle.turn = 'player';
+    render();
+    moveInput.focus();
+  } catch (err) {
+    showStatus(`Couldn't start a battle: ${err.message}`, 'error');
+  } finally {
+    newBattleBtn.disabled = false;
+  }
+}
+
+function renderHints() {
+  const section = document.getElementById('hints-section');
+  const list = document.getElementById('hints-list');
+  
+  if (!hintsCheckbox.checked || !battle || battle.turn !== 'player') {
+    section.style.display = 'none';
+    return;
+  }
+  
+  const options = rankOptions(battle.movieData, ruleState()).slice(0, HINTS_SHOWN);
+  section.style.display = 'block';
+  
+  if (options.length === 0) {
+    list.innerHTML = '<div class="empty">No connections found</div>';
+    return;
+  }
+  
+  list.innerHTML = options.map(opt => {
+    const linkCap = battle.rules.linkCap;
+    const linkWarning = opt.via.timesUsed === linkCap - 1 ? ` ⚠️ ${opt.via.timesUsed}/${linkCap}` : '';
+    const linkRole = describeLinkRole(opt.via);
+    const trap = opt.isTrap ? ` · 🪤 ${opt.opponentReplies} ${opt.opponentReplies === 1 ? 'reply' : 'replies'}` : '';
+    return `
+      <div class="hint">
+        ${opt.isPriority ? '🎯 ' : ''}${escapeHtml(movieLabel(opt.movie))}
+        <div class="hint-meta">
+          via ${escapeHtml(opt.via.name)} (${linkRole ? `${escapeHtml(linkRole)}, ` : ''}${opt.via.creditCount} credits)${linkWarning} · ${formatGenres(opt.movie.genres)}${trap} ·
+          <span class="hint-score" title="${escapeHtml(describeScoreBreakdown(opt))}">score ${Math.round(opt.score)}</span>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+function render() {
+  const current = battle?.chain[battle.chain.length - 1];
+  const playing = battle?.turn === 'player';
+  const rules = currentRules();
+  
+  document.getElementById('current-movie').textContent = current ? movieLabel(current.movie) : '–';
+  document.getElementById('turn-label').textContent = !battle ? 'Start a battle to play'
+    : {
+      loading: 'Setting up...',
+      player: isSetupCount(battle.chain.length, rules) ? `Your turn ⚡ Setup phase: ${ELIGIBILITY_POOLS[rules.eligibilityPool]}` : 'Your turn',
+      bot: 'Bot is thinking...',
+      over: 'Battle over'
+    }[battle.turn];
+  
+  moveInput.disabled = !playing;
+  moveBtn.disabled = !playing;
+  giveUpBtn.disabled = !playing;
+  
+  const links = document.getElementById('links');
+  const usage = Object.entries(battle?.usage || {}).sort((a, b) => b[1] - a[1]);
+  links.innerHTML = usage.length === 0 ? '<span class="empty">No links used yet</span>'
+    : usage.map(([personId, uses]) => {
+      const state = uses >= rules.linkCap ? 'spent' : uses === rules.linkCap - 1 ? 'warn' : '';
+      return `<span class="link ${state}">${escapeHtml(battle.linkNames[personId])} ${uses}/${rules.linkCap}</span>`;
+    }).join('');
+  
+  const chain = document.getElementById('chain');
+  chain.innerHTML = !battle ? '<span class="empty">No battle in progress</span>'
+    : battle.chain.slice().reverse().map(move => `
+      <div class="chain-move ${move.mine ? 'mine' : ''}">
+        ${move.mine === null ? '🎬' : move.mine ? '🧑' : '🤖'} ${escapeHtml(movieLabel(move.movie))}
+        ${move.via.length > 0 ? `<span class="chain-via">via ${escapeHtml(move.via.join(', '))}</span>` : ''}
+      </div>
+    `).join('');
+  
+  renderHints();
+}
+
+async function loadSettings() {
+  const result = await chrome.storage.local.get(['practiceSettings', 'priorityFilters']);
+  const settings = result.practiceSettings || {};
+  
+  difficultySelect.value = settings.difficulty || 'medium';
+  hintsCheckbox.checked = Boolean(settings.hints);
+  
+  rulesSettings = await loadRulesProfiles();
+  rulesSelect.innerHTML = Object.values(rulesSettings.profiles)
+    .map(profile => `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`)
+    .join('');
+  rulesSelect.value = getRulesProfile(rulesSettings, settings.rules).id;
+  
+  // Hints rank exactly like the sidebar
+  if (result.priorityFilters) priorityFilters = result.priorityFilters;
+  scoringSettings = await loadScoringSettings();
+  eligibility = await loadEligibility();
+}
+
+function saveSettings() {
+  chrome.storage.local.set({
+    practiceSettings: { difficulty: difficultySelect.value, hints: hintsCheckbox.checked, rules: rulesSelect.value }
+  });
+  renderHints();
+}
+
+difficultySelect.addEventListener('change', saveSettings);
+rulesSelect.addEventListener('change', saveSettings);
+hintsCheckbox.addEventListener('change', saveSettings);
+newBattleBtn.addEventListener('click', startBattle);
+giveUpBtn.addEventListener('click', giveUp);
+moveForm.addEventListener('submit', submitMove);
+
+loadSettings();
@@ -0,0 +1,307 @@
+/**
+ * Cine2Nerdle Helper - Game Review
+ * Replays a recorded battle turn by turn: what you played against what the
+ * helper ranked best, the replies left in the losing position and the turn
+ * where the game slipped away
+ *
+ * Positions are rebuilt from the graph and cache only (see
+ * getCachedMovieData() in background.js), so a review works offline.
+ */
+
+const statusDiv = document.getElementById('status');
+const prevBtn = document.getElementById('prev-btn');
+const nextBtn = document.getElementById('next-btn');
+
+// Options listed for a position, and replies named for the losing one
+const REVIEW_OPTIONS_SHOWN = 5;
+const REVIEW_REPLIES_SHOWN = 20;
+
+let review = null; // { match, rules, turns, lostAt }
+let selectedTurn = 0;
+
+function showStatus(message, type = 'info') {
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+  statusDiv.style.display = 'block';
+}
+
+function hideStatus() {
+  statusDiv.style.display = 'none';
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * A position's people and filmographies, or null when they aren't cached
+ */
+async function loadCachedMovie(move, rules) {
+  const response = await chrome.runtime.sendMessage({
+    type: 'getCachedMovieData',
+    movie: { title: move.title, year: move.year, localId: move.localId, id: move.id, genres: move.genres },
+    roles: rules.roles
+  });
+  if (!response.success) throw new Error(response.error);
+  return response.data;
+}
+
+/**
+ * Everyone a move burned: recorded links, else the people the cached
+ * position shares with it, else the names the board showed
+ */
+function burnedBy(move, movieData, state) {
+  if (move.links) return move.links;
+  
+  const movie = movieData && findConnectedMovie(movieData, move.localId);
+  if (movie) {
+    const { via } = checkMove(movieData, movie, state);
+    if (via.length > 0) return via;
+  }
+  
+  return move.connections.map(name => ({ id: `name:${name.toLowerCase()}`, name }));
+}
+
+/**
+ * Rebuild every position of a match and rank the replies in it
+ *
+ * Turn i is the position after i movies, replying to moves[i - 1]; the last
+ * turn has no move, it's where the loser got stuck. Each turn is
+ * { index, from, move, mine, options, usage, played: { option, rank } }
+ * with options null when the position isn't cached.
+ */
+async function analyzeMatch(match, settings) {
+  const rules = match.rules || getRulesProfile(settings.rulesSettings);
+  const weights = getScoringWeights(settings.scoringSettings);
+  const moves = match.moves;
+  const played = new Set();
+  const usage = {};
+  const turns = [];
+  
+  for (let i = 1; i <= moves.length; i++) {
+    const from = moves[i - 1];
+    const move = moves[i] || null;
+    played.add(from.localId.toLowerCase());
+    showStatus(`Replaying ${from.localId} (${i}/${moves.length})`);
+    
+    let movieData = null;
+    try {
+      movieData = await loadCachedMovie(from, rules);
+    } catch (err) {
+      console.error(`[Helper] Failed to load ${from.localId} for review:`, err);
+    }
+    
+    const state = {
+      played: new Set(played),
+      count: i,
+      usage: { ...usage },
+      filters: settings.priorityFilters,
+      weights,
+      eligibility: settings.eligibility,
+      rules
+    };
+    const options = movieData ? rankOptions(movieData, state) : null;
+    const mine = move ? move.mine : (from.mine === null ? null : !from.mine);
+    const turn = { index: i, from, move, mine, options, usage: state.usage, played: null };
+    
+    if (move && options) {
+      const key = move.localId.toLowerCase();
+      const rank = options.findIndex(opt => opt.movie.id === move.id || playedKey(opt.movie) === key);
+      turn.played = { option: rank >= 0 ? options[rank] : null, rank: rank + 1 };
+    }
+    
+    if (move) {
+      for (const person of burnedBy(move, movieData, state)) {
+        usage[person.id] = (usage[person.id] || 0) + 1;
+      }
+    }
+    turns.push(turn);
+  }
+  
+  return { match, rules, turns, lostAt: findLosingTurn(match, turns) };
+}
+
+/**
+ * The turn where the game was effectively lost, or null
+ *
+ * Walking back from the end, your positions with at most
+ * TRAP_REPLY_THRESHOLD replies form the squeeze that finished you; the game
+ * slipped away on your move just before it. If you were stuck with more
+ * replies than that, the last position itself is the mistake. Positions
+ * missing from the cache stop the walk.
+ */
+function findLosingTurn(match, turns) {
+  const last = turns[turns.length - 1];
+  if (match.outcome !== 'loss' || !last || last.mine !== true || !last.options) return null;
+  
+  const myTurns = turns.filter(turn => turn.mine === true);
+  let start = myTurns.length;
+  while (start > 0) {
+    const options = myTurns[start - 1].options;
+    if (!options || options.length > TRAP_REPLY_THRESHOLD) break;
+    start--;
+  }
+  
+  if (start === myTurns.length) return last.index;
+  return (myTurns[start - 1] || myTurns[start]).index;
+}
+
+/**
+ * One option as a line: title, link and what it leaves the opponent
+ */
+function renderReviewOption(opt, label = '') {
+  const link = describeLinkRole(opt.via);
+  return `
+    <div class="option">
+      ${label ? `<span class="option-label">${escapeHtml(label)}</span> ` : ''}
+      <strong>${escapeHtml(opt.movie.title)} (${opt.movie.year})</strong>
+      <span class="option-meta">
+        via ${escapeHtml(opt.via.name)}${link ? ` · ${escapeHtml(link)}` : ''} ·
+        leaves ${opt.opponentReplies} known replies${opt.isTrap ? ' 🪤' : ''} ·
+        <span class="option-score" title="${escapeHtml(describeScoreBreakdown(opt))}">${Math.round(opt.score)}</span>
+      </span>
+    </div>
+  `;
+}
+
+function describeMover(mine) {
+  return mine === null ? 'Unknown' : mine ? 'You' : 'Opponent';
+}
+
+function renderSummary() {
+  const { match, rules, turns, lostAt } = review;
+  const missing = turns.filter(turn => !turn.options).length;
+  const myMoves = turns.filter(turn => turn.mine && turn.played);
+  const best = myMoves.filter(turn => turn.played.rank === 1).length;
+  
+  document.getElementById('summary').innerHTML = `
+    <div class="stats">
+      <div><div class="stat-value outcome ${match.outcome}">${escapeHtml(match.outcome.toUpperCase())}</div><div class="stat-label">${match.moves.length} movies · ${escapeHtml(rules.name)}</div></div>
+      <div><div class="stat-value">${myMoves.length > 0 ? `${best}/${myMoves.length}` : '–'}</div><div class="stat-label">Your moves the helper ranked best</div></div>
+      <div><div class="stat-value">${lostAt ? `Turn ${lostAt}` : '–'}</div><div class="stat-label">Where it was lost</div></div>
+    </div>
+    ${missing > 0 ? `<p class="help-text">${missing} position${missing === 1 ? ' isn\'t' : 's aren\'t'} cached any more, so ${missing === 1 ? 'it has' : 'they have'} no analysis.</p>` : ''}
+  `;
+}
+
+function renderTurnList() {
+  const { turns, lostAt } = review;
+  
+  document.getElementById('turns').innerHTML = turns.map((turn, index) => {
+    let verdict = '';
+    if (turn.move && turn.mine && turn.played) {
+      verdict = turn.played.rank === 1 ? '<span class="badge best">✓ best</span>'
+        : turn.played.rank > 0 ? `<span class="badge">#${turn.played.rank} of ${turn.options.length}</span>`
+          : '<span class="badge">not in the helper\'s list</span>';
+    } else if (!turn.move) {
+      verdict = `<span class="badge">${turn.options ? `${turn.options.length} replies left` : 'not cached'}</span>`;
+    }
+    
+    return `
+      <div class="turn ${turn.mine ? 'mine' : ''} ${index === selectedTurn ? 'selected' : ''}" data-turn="${index}">
+        <span class="turn-number">${turn.index}</span>
+        ${escapeHtml(describeMover(turn.mine))}:
+        ${turn.move ? escapeHtml(turn.move.localId) : '<em>no reply</em>'}
+        ${verdict}
+        ${turn.index === lostAt ? '<span class="badge lost">⚠️ lost here</span>' : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+function renderTurnDetail() {
+  const { turns, rules, lostAt } = review;
+  const turn = turns[selectedTurn];
+  const detail = document.getElementById('turn-detail');
+  let html = `<h2>Turn ${turn.index} · ${escapeHtml(describeMover(turn.mine))} to reply to ${escapeHtml(turn.from.localId)}</h2>`;
+  
+  if (isSetupCount(turn.index, rules)) {
+    html += `<p class="help-text">⚡ Setup phase: ${escapeHtml(ELIGIBILITY_POOLS[rules.eligibilityPool])}</p>`;
+  }
+  
+  if (turn.index === lostAt) {
+    html += turn.move
+      ? `<div class="lost-note">⚠️ The game slipped away here: after this move you never had more than ${TRAP_REPLY_THRESHOLD} replies.</div>`
+      : '<div class="lost-note">⚠️ You still had replies here - the game was lost on this turn.</div>';
+  }
+  
+  if (!turn.options) {
+    html += '<p class="empty">This position isn\'t in the cache any more, so there\'s nothing to compare.</p>';
+  } else if (turn.move) {
+    const best = turn.options[0];
+    const playedOption = turn.played.option;
+    
+    html += '<div class="compare">';
+    html += playedOption
+      ? renderReviewOption(playedOption, turn.mine ? 'You played' : 'They played')
+      : `<div class="option"><span class="option-label">${turn.mine ? 'You' : 'They'} played</span> <strong>${escapeHtml(turn.move.localId)}</strong> <span class="option-meta">not among the helper's options</span></div>`;
+    if (best && best !== playedOption) html += renderReviewOption(best, 'Helper\'s best');
+    html += '</div>';
+    
+    html += `<h2>Top options (${turn.options.length})</h2>`;
+    html += turn.options.slice(0, REVIEW_OPTIONS_SHOWN).map((opt, i) => renderReviewOption(opt, `#${i + 1}`)).join('') ||
+      '<p class="empty">No legal replies known</p>';
+  } else {
+    const replies = turn.options.slice(0, REVIEW_REPLIES_SHOWN);
+    html += turn.options.length === 0
+      ? '<p class="empty">No replies were left - a true dead end.</p>'
+      : `<h2>Replies still available (${turn.options.length})</h2>` + replies.map(opt => renderReviewOption(opt)).join('');
+  }
+  
+  const spent = Object.entries(turn.usage).filter(([, uses]) => uses >= rules.linkCap).length;
+  html += `<p class="help-text">${spent} link${spent === 1 ? '' : 's'} spent before this turn.</p>`;
+  detail.innerHTML = html;
+  
+  prevBtn.disabled = selectedTurn === 0;
+  nextBtn.disabled = selectedTurn === turns.length - 1;
+}
+
+function selectTurn(index) {
+  if (!review) return;
+  selectedTurn = Math.max(0, Math.min(review.turns.length - 1, index));
+  renderTurnList();
+  renderTurnDetail();
+}
+
+async function loadReview() {
+  try {
+    const matchId = new URLSearchParams(location.search).get('match');
+    const { matchHistory = [], priorityFilters } = await chrome.storage.local.get(['matchHistory', 'priorityFilters']);
+    const match = matchId ? matchHistory.find(m => m.id === matchId) : matchHistory[matchHistory.length - 1];
+    if (!match) {
+      showStatus(matchId ? 'That game isn\'t in the match history any more' : 'No games recorded yet', 'error');
+      return;
+    }
+    
+    // Rank exactly like the sidebar
+    const settings = {
+      rulesSettings: await loadRulesProfiles(),
+      scoringSettings: await loadScoringSettings(),
+      eligibility: await loadEligibility(),
+      priorityFilters: priorityFilters || { genres: [], decade: null, expression: '' }
+    };
+    
+    review = await analyzeMatch(match, settings);
+    hideStatus();
+    
+    renderSummary();
+    selectTurn(review.lostAt ? review.turns.findIndex(turn => turn.index === review.lostAt) : 0);
+  } catch (err) {
+    showStatus('Failed to load the review: ' + err.message, 'error');
+  }
+}
+
+document.getElementById('turns').addEventListener('click', event => {
+  const row = event.target.closest('[data-turn]');
+  if (row) selectTurn(parseInt(row.dataset.turn));
+});
+prevBtn.addEventListener('click', () => selectTurn(selectedTurn - 1));
+nextBtn.addEventListener('click', () => selectTurn(selectedTurn + 1));
+document.addEventListener('keydown', event => {
+  if (event.key === 'ArrowLeft') selectTurn(selectedTurn - 1);
+  if (event.key === 'ArrowRight') selectTurn(selectedTurn + 1);
+});
+
+loadReview();
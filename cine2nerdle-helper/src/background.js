@@ -3,6 +3,11 @@
  * Handles TMDB API calls and caching
  */
 
+importScripts('idb.js', 'titles.js', 'eligibility.js', 'rules-profiles.js', 'cache.js', 'scheduler.js', 'movie-graph.js', 'resolver.js', 'lookahead.js', 'prefetch.js', 'jobs.js');
+
+// Keys in chrome.storage.local that are settings, not cached TMDB data
+const SETTINGS_KEYS = ['tmdb_api_key', 'priorityFilters', 'sortMode', 'lookaheadDepth', 'titleMappings', 'matchHistory', 'practiceSettings', 'flashcards', 'rulesProfiles', 'scoringSettings', 'filterPresets', 'prefetchSettings'];
+
 // TMDB Genre ID mapping
 const GENRES = {
   28: 'Action',
@@ -26,19 +31,6 @@ const GENRES = {
   37: 'Western'
 };
 
-// Rate limiting: TMDB allows 40 requests per 10 seconds
-const REQUEST_DELAY_MS = 250; // ~4 per second to be safe
-let lastRequestTime = 0;
-
-async function waitForRateLimit() {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
-  if (timeSinceLastRequest < REQUEST_DELAY_MS) {
-    await new Promise(resolve => setTimeout(resolve, REQUEST_DELAY_MS - timeSinceLastRequest));
-  }
-  lastRequestTime = Date.now();
-}
-
 async function getApiToken() {
   const result = await chrome.storage.local.get(['tmdb_api_key']);
   if (!result.tmdb_api_key) {
@@ -48,284 +40,794 @@ async function getApiToken() {
 }
 
 /**
- * Search for a movie by title and year
+ * GET a TMDB endpoint through the request scheduler
  */
-async function searchMovie(title, year) {
+async function tmdbGet(path, params, errorLabel, signal = null) {
   const token = await getApiToken();
-  await waitForRateLimit();
   
-  const url = new URL('https://api.themoviedb.org/3/search/movie');
-  url.searchParams.set('query', title);
-  url.searchParams.set('year', year);
-  url.searchParams.set('include_adult', 'false');
-  url.searchParams.set('language', 'en-US');
+  const url = new URL(`https://api.themoviedb.org/3${path}`);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
   
-  const response = await fetch(url, {
+  return scheduleRequest(url.toString(), {
     headers: {
       'Accept': 'application/json',
       'Authorization': `Bearer ${token}`
     }
-  });
-  
-  if (!response.ok) {
-    throw new Error(`TMDB search failed: ${response.status}`);
+  }, errorLabel, signal);
+}
+
+/**
+ * Search for a movie by title and (optionally) year
+ */
+async function searchMovie(title, year, signal = null) {
+  const params = {
+    query: title,
+    include_adult: 'false',
+    language: 'en-US'
+  };
+  if (year) {
+    params.year = year;
   }
-  
-  return response.json();
+  return tmdbGet('/search/movie', params, 'TMDB search failed', signal);
 }
 
 /**
- * Get full credits (cast + crew) for a movie
+ * Get a movie's details, full credits (cast + crew) and keywords in one request
  */
-async function getMovieCredits(movieId) {
-  const token = await getApiToken();
-  await waitForRateLimit();
-  
-  const url = `https://api.themoviedb.org/3/movie/${movieId}/credits?language=en-US`;
+async function getMovieWithCredits(movieId, signal = null) {
+  return tmdbGet(`/movie/${movieId}`, { language: 'en-US', append_to_response: 'credits,keywords' }, 'TMDB movie fetch failed', signal);
+}
+
+/**
+ * Get a movie's details and keywords without its credits
+ */
+async function getMovieWithKeywords(movieId, signal = null) {
+  return tmdbGet(`/movie/${movieId}`, { language: 'en-US', append_to_response: 'keywords' }, 'TMDB movie fetch failed', signal);
+}
+
+/**
+ * Get a person's details and full filmography in one request
+ */
+async function getPersonWithCredits(personId, signal = null) {
+  return tmdbGet(`/person/${personId}`, { language: 'en-US', append_to_response: 'movie_credits' }, 'TMDB person fetch failed', signal);
+}
+
+/**
+ * Get a movie's alternative titles (for resolving retitled films)
+ */
+async function getAlternativeTitles(movieId, signal = null) {
+  return tmdbGet(`/movie/${movieId}/alternative_titles`, {}, 'TMDB alternative titles fetch failed', signal);
+}
+
+// People loaded per board movie, most popular first, to keep within TMDB's rate limit
+const MAX_PEOPLE_PER_MOVIE = 30;
+
+/**
+ * Roles counted by the default profile, for requests that don't say
+ */
+async function getDefaultRoles() {
+  return getRulesProfile(await loadRulesProfiles()).roles;
+}
+
+/**
+ * Whether a cast credit is a voice role
+ */
+function isVoiceCredit(credit) {
+  return /\(voice\)/i.test(credit.character || '');
+}
+
+/**
+ * Whether a cached filmography lists every role (older entries kept only the counted ones)
+ */
+function hasAllRoles(entries) {
+  return entries.every(entry => Array.isArray(entry.roles));
+}
+
+/**
+ * Everyone credited on a movie, deduped, with all their roles on it
+ *
+ * Roles are 'cast', 'voice' for voice cast (who are also 'cast') and the
+ * TMDB crew job, cast first.
+ */
+function buildCreditedPeople(credits) {
+  const peopleMap = new Map();
   
-  const response = await fetch(url, {
-    headers: {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
+  const addRole = (person, role) => {
+    if (!peopleMap.has(person.id)) {
+      peopleMap.set(person.id, {
+        id: person.id,
+        name: person.name,
+        popularity: person.popularity || 0,
+        roles: []
+      });
     }
-  });
+    const roles = peopleMap.get(person.id).roles;
+    if (!roles.includes(role)) roles.push(role);
+  };
   
-  if (!response.ok) {
-    throw new Error(`TMDB credits fetch failed: ${response.status}`);
+  for (const person of credits.cast || []) {
+    addRole(person, 'cast');
+    if (isVoiceCredit(person)) addRole(person, 'voice');
+  }
+  for (const person of credits.crew || []) {
+    if (person.job) addRole(person, person.job);
   }
   
-  return response.json();
+  return Array.from(peopleMap.values());
 }
 
 /**
- * Get a person's full filmography
+ * Narrow a movie's credited people to the roles a profile counts
  */
-async function getPersonCredits(personId) {
-  const token = await getApiToken();
-  await waitForRateLimit();
+function buildPeopleList(creditedPeople, roles) {
+  const people = [];
   
-  const url = `https://api.themoviedb.org/3/person/${personId}/movie_credits?language=en-US`;
+  for (const person of creditedPeople) {
+    const counted = countedRoles(person.roles, roles);
+    if (counted.length > 0) {
+      people.push({ ...person, roles: counted });
+    }
+  }
   
-  const response = await fetch(url, {
-    headers: {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
+  // Sort by filmography potential (we'll fetch more popular ones first as they're more likely useful)
+  people.sort((a, b) => b.popularity - a.popularity);
+  
+  return people;
+}
+
+/**
+ * A person's films with every role they had on each, cast first
+ */
+function buildFullFilmography(person, personCredits) {
+  const byMovie = new Map();
+  
+  const addRole = (credit, role) => {
+    if (!credit.release_date) return; // Must have a release date
+    if (!byMovie.has(credit.id)) {
+      byMovie.set(credit.id, {
+        id: credit.id,
+        title: credit.title || credit.original_title,
+        year: parseInt(credit.release_date.substring(0, 4)),
+        genres: credit.genre_ids || [],
+        popularity: credit.popularity || 0,
+        language: credit.original_language || null,
+        roles: []
+      });
     }
-  });
+    const roles = byMovie.get(credit.id).roles;
+    if (!roles.includes(role)) roles.push(role);
+  };
   
-  if (!response.ok) {
-    throw new Error(`TMDB person credits fetch failed: ${response.status}`);
+  for (const credit of personCredits.cast || []) {
+    addRole(credit, 'cast');
+    if (isVoiceCredit(credit)) addRole(credit, 'voice');
+  }
+  for (const credit of personCredits.crew || []) {
+    if (credit.job) addRole(credit, credit.job);
   }
   
-  return response.json();
+  return { id: person.id, name: person.name, credits: Array.from(byMovie.values()) };
 }
 
 /**
- * Get movie details (for genre info)
+ * Narrow a full filmography to the roles a profile counts
+ *
+ * Each credit keeps its counted roles, with the first as its role.
  */
-async function getMovieDetails(movieId) {
-  const token = await getApiToken();
-  await waitForRateLimit();
-  
-  const url = `https://api.themoviedb.org/3/movie/${movieId}?language=en-US`;
+function filterFilmography(filmography, roles) {
+  const credits = [];
   
-  const response = await fetch(url, {
-    headers: {
-      'Accept': 'application/json',
-      'Authorization': `Bearer ${token}`
+  for (const credit of filmography.credits) {
+    const counted = countedRoles(credit.roles, roles);
+    if (counted.length > 0) {
+      credits.push({ ...credit, role: counted[0], roles: counted });
     }
-  });
-  
-  if (!response.ok) {
-    throw new Error(`TMDB movie details fetch failed: ${response.status}`);
   }
   
-  return response.json();
+  return {
+    id: filmography.id,
+    name: filmography.name,
+    creditCount: credits.length,
+    credits
+  };
 }
 
 /**
- * Process a movie request - get all cast/crew and their filmographies
+ * A normalised movie record from a details response with credits and keywords
+ *
+ * Stored once per film under movie_<id>, so every board title, lookup and
+ * filter that touches the film shares the same credits and metadata.
  */
-async function processMovieRequest(title, year, localId) {
-  console.log(`[Helper] Processing movie: ${title} (${year})`);
+function buildMovieRecord(details) {
+  return {
+    id: details.id,
+    title: details.title || details.original_title,
+    year: details.release_date ? parseInt(details.release_date.substring(0, 4)) : null,
+    genres: (details.genres || []).map(genre => genre.id),
+    popularity: details.popularity || 0,
+    runtime: details.runtime || null,
+    voteCount: details.vote_count || 0,
+    voteAverage: details.vote_average || 0,
+    language: details.original_language || null,
+    countries: details.origin_country || (details.production_countries || []).map(country => country.iso_3166_1),
+    collection: details.belongs_to_collection
+      ? { id: details.belongs_to_collection.id, name: details.belongs_to_collection.name }
+      : null,
+    keywords: (details.keywords?.keywords || []).map(keyword => keyword.name.toLowerCase()),
+    people: buildCreditedPeople(details.credits || {})
+  };
+}
+
+/**
+ * A normalised person record: their full filmography plus who they are
+ */
+function buildPersonRecord(details) {
+  return {
+    ...buildFullFilmography(details, details.movie_credits || {}),
+    popularity: details.popularity || 0,
+    department: details.known_for_department || null
+  };
+}
+
+/**
+ * Get a film's movie record by TMDB id (cached)
+ */
+async function getMovieRecord(movieId, signal = null) {
+  const cacheKey = `movie_${movieId}`;
+  let record = await cacheGet(cacheKey);
+  if (!record) {
+    record = buildMovieRecord(await getMovieWithCredits(movieId, signal));
+    await cacheSet(cacheKey, 'movie', record);
+    // The full record supersedes any details record fetched for filters
+    await cacheDelete(`details_${movieId}`);
+  }
+  return record;
+}
+
+/**
+ * Get a film's details record: its movie record without the credits (cached)
+ *
+ * Enough for filter expressions at a fraction of the size. Loading the film
+ * in full replaces it with the movie record.
+ */
+async function getMovieDetailsRecord(movieId) {
+  const cacheKey = `details_${movieId}`;
+  let record = await cacheGet(cacheKey);
+  if (!record) {
+    const { people, ...details } = buildMovieRecord(await getMovieWithKeywords(movieId));
+    record = details;
+    await cacheSet(cacheKey, 'details', record);
+  }
+  return record;
+}
+
+/**
+ * Get the deduped cast/crew list for a movie by TMDB id (cached)
+ *
+ * The local graph answers when it was imported with the movie's full credits;
+ * otherwise TMDB does. The movie record keeps every role, so changing which
+ * roles count never refetches.
+ */
+async function getMoviePeople(movieId, roles, signal = null) {
+  const graphPeople = await getGraphMoviePeople(movieId, roles);
   
-  // Check cache first
-  const cached = await chrome.storage.local.get([localId]);
-  if (cached[localId] && cached[localId].complete) {
-    console.log(`[Helper] Cache hit for ${localId}`);
-    return cached[localId];
+  // IMDb graph ids mean nothing to TMDB, so whatever the graph has is all there is
+  if (typeof movieId !== 'number') {
+    return graphPeople;
+  }
+  if (graphPeople.length > 0 && await isGraphMovieComplete(movieId)) {
+    return graphPeople;
   }
   
-  // Search for the movie
-  const searchResult = await searchMovie(title, year);
-  if (!searchResult.results || searchResult.results.length === 0) {
-    throw new Error(`Movie not found: ${title} (${year})`);
+  const record = await getMovieRecord(movieId, signal);
+  return buildPeopleList(record.people, roles);
+}
+
+/**
+ * Get a person's filmography in helper format (cached with every role)
+ *
+ * The local graph answers once it's known to hold the whole filmography.
+ * Until then TMDB does, and the graph is checked against TMDB's list so the
+ * next lookup can stay local.
+ */
+async function getPersonFilmography(person, roles, signal = null) {
+  const graphFilmography = await getGraphFilmography(person, roles);
+  
+  // IMDb graph ids mean nothing to TMDB, so whatever the graph has is all there is
+  if (typeof person.id !== 'number') {
+    return graphFilmography || { id: person.id, name: person.name, creditCount: 0, credits: [] };
+  }
+  if (graphFilmography && await isGraphFilmographyComplete(person.id)) {
+    return graphFilmography;
   }
   
-  const movie = searchResult.results[0];
-  const movieId = movie.id;
+  // Check if we have this person cached
+  const personCacheKey = `person_${person.id}`;
+  let record = await cacheGet(personCacheKey);
   
-  // Get credits (cast + crew)
-  const credits = await getMovieCredits(movieId);
+  if (!record || !hasAllRoles(record.credits)) {
+    record = buildPersonRecord(await getPersonWithCredits(person.id, signal));
+    await cacheSet(personCacheKey, 'person', record);
+  }
   
-  // Get full cast - no arbitrary limit
-  const cast = credits.cast || [];
+  if (graphFilmography) {
+    await confirmGraphFilmography(person.id, record.credits.map(credit => credit.id));
+  }
   
-  // Get relevant crew (directors, writers, cinematographers, composers)
-  const relevantJobs = ['Director', 'Writer', 'Screenplay', 'Director of Photography', 'Original Music Composer', 'Music'];
-  const crew = (credits.crew || []).filter(person => relevantJobs.includes(person.job));
+  return filterFilmography(record, roles);
+}
+
+/**
+ * Get what filter expressions need beyond a filmography credit (cached)
+ *
+ * Returns { language, countries, runtime, keywords, voteCount, collection }
+ * with keywords in lower case. A film that's already loaded answers from its
+ * movie record; any other is fetched without credits, since most candidates
+ * checked here are never played. Films TMDB doesn't know (IMDb graph ids)
+ * get empty metadata.
+ */
+async function getMovieMetadata(movieId) {
+  if (typeof movieId !== 'number') {
+    return { language: null, countries: [], runtime: null, keywords: [], voteCount: 0, collection: null };
+  }
   
-  // Combine and dedupe people
-  const peopleMap = new Map();
+  const record = await cachePeek(`movie_${movieId}`) || await getMovieDetailsRecord(movieId);
+  const { language, countries, runtime, keywords, voteCount, collection } = record;
+  return { language, countries, runtime, keywords, voteCount, collection };
+}
+
+/**
+ * Metadata for several films, leaving out any that fail to load
+ */
+async function getMoviesMetadata(movieIds) {
+  const metadata = {};
   
-  for (const person of cast) {
-    if (!peopleMap.has(person.id)) {
-      peopleMap.set(person.id, {
-        id: person.id,
-        name: person.name,
-        type: 'cast',
-        popularity: person.popularity || 0
-      });
+  await Promise.all(movieIds.map(async movieId => {
+    try {
+      metadata[movieId] = await getMovieMetadata(movieId);
+    } catch (err) {
+      console.error(`[Helper] Failed to get metadata for movie ${movieId}:`, err);
     }
+  }));
+  
+  return metadata;
+}
+
+/**
+ * Work out which film a board title means, remembering the answer
+ *
+ * The board_<localId> entry only holds the TMDB id and how it was resolved;
+ * the film itself lives in its movie record. A known movie always wins over
+ * an older resolution.
+ */
+async function getBoardEntry(title, year, localId, knownMovie, signal) {
+  const boardKey = `board_${localId}`;
+  const cached = await cacheGet(boardKey);
+  if (cached && (!knownMovie || cached.movieId === knownMovie.id)) {
+    return cached;
   }
   
-  for (const person of crew) {
-    if (!peopleMap.has(person.id)) {
-      peopleMap.set(person.id, {
-        id: person.id,
-        name: person.name,
-        type: 'crew',
-        job: person.job,
-        popularity: person.popularity || 0
-      });
-    } else {
-      // Person is both cast and crew, note that
-      const existing = peopleMap.get(person.id);
-      existing.type = 'both';
-      existing.job = person.job;
+  const resolution = knownMovie
+    ? { movie: knownMovie, confidence: 1, needsConfirmation: false, source: 'known', candidates: [] }
+    : await resolveMovie(title, year, localId, signal);
+  const board = {
+    localId,
+    movieId: resolution.movie.id,
+    resolution: {
+      confidence: resolution.confidence,
+      needsConfirmation: resolution.needsConfirmation,
+      source: resolution.source,
+      candidates: resolution.candidates
     }
+  };
+  
+  await cacheSet(boardKey, 'board', board);
+  return board;
+}
+
+/**
+ * Process a movie request - get all cast/crew and their filmographies
+ *
+ * Optional hooks stream progress to a sidebar: onStart(movieData, total) once
+ * the people are known, then onFilmography(personId, filmography) as each
+ * filmography arrives. Aborting the signal stops the load.
+ *
+ * Callers that already know the film (practice battles) pass it as movie,
+ * { id, title, year, genres }, to skip title resolution. roles are the credit
+ * types the active rules profile counts (the default profile's when omitted).
+ *
+ * Nothing is cached under the board title but its resolution: the result is
+ * assembled from the shared movie and person records each time, so a film or
+ * person is stored once however many games they come up in.
+ */
+async function processMovieRequest(title, year, localId, { signal = null, onStart = null, onFilmography = null, movie: knownMovie = null, roles = null } = {}) {
+  console.log(`[Helper] Processing movie: ${title} (${year})`);
+  roles = roles || await getDefaultRoles();
+  
+  // The local graph has full casts and needs no network
+  const mapping = knownMovie || await getTitleMapping(localId);
+  const graphData = await getGraphMovieData(title, year, localId, roles, mapping?.id, true);
+  if (graphData) {
+    console.log(`[Helper] Graph hit for ${localId}: ${graphData.people.length} people`);
+    return graphData;
   }
   
-  const people = Array.from(peopleMap.values());
+  const board = await getBoardEntry(title, year, localId, knownMovie, signal);
   
-  // Fetch filmographies for all people
-  // Sort by filmography potential (we'll fetch more popular ones first as they're more likely useful)
-  people.sort((a, b) => b.popularity - a.popularity);
+  // Details and credits (cast + crew) come in one request
+  signal?.throwIfAborted();
+  const record = await getMovieRecord(board.movieId, signal);
   
   // Limit to reasonable number to avoid rate limiting hell
-  // But much more than the original's 5
-  const maxPeople = 30;
-  const peopleToProcess = people.slice(0, maxPeople);
-  
+  const peopleToProcess = buildPeopleList(record.people, roles).slice(0, MAX_PEOPLE_PER_MOVIE);
   const filmographies = {};
   
-  for (const person of peopleToProcess) {
-    // Check if we have this person cached
-    const personCacheKey = `person_${person.id}`;
-    const personCached = await chrome.storage.local.get([personCacheKey]);
-    
-    if (personCached[personCacheKey]) {
-      filmographies[person.id] = personCached[personCacheKey];
-      continue;
-    }
-    
+  if (onStart) {
+    onStart({
+      id: record.id,
+      title: record.title,
+      year: year,
+      localId: localId,
+      genres: record.genres,
+      resolution: board.resolution,
+      people: peopleToProcess.map(p => ({ ...p, creditCount: 0 })),
+      filmographies: {},
+      complete: false
+    }, peopleToProcess.length);
+  }
+  
+  // Fetch in parallel; the scheduler keeps us inside TMDB's rate limit
+  await Promise.all(peopleToProcess.map(async person => {
     try {
-      const personCredits = await getPersonCredits(person.id);
-      
-      // Combine cast and crew credits
-      const allCredits = [];
-      
-      if (personCredits.cast) {
-        for (const credit of personCredits.cast) {
-          if (credit.release_date) { // Must have a release date
-            allCredits.push({
-              id: credit.id,
-              title: credit.title || credit.original_title,
-              year: parseInt(credit.release_date.substring(0, 4)),
-              genres: credit.genre_ids || [],
-              popularity: credit.popularity || 0,
-              role: 'cast'
-            });
-          }
-        }
-      }
-      
-      if (personCredits.crew) {
-        for (const credit of personCredits.crew) {
-          if (credit.release_date && relevantJobs.includes(credit.job)) {
-            // Check if we already have this movie from cast
-            const existing = allCredits.find(c => c.id === credit.id);
-            if (!existing) {
-              allCredits.push({
-                id: credit.id,
-                title: credit.title || credit.original_title,
-                year: parseInt(credit.release_date.substring(0, 4)),
-                genres: credit.genre_ids || [],
-                popularity: credit.popularity || 0,
-                role: credit.job
-              });
-            }
-          }
-        }
-      }
-      
-      const filmography = {
-        id: person.id,
-        name: person.name,
-        creditCount: allCredits.length,
-        credits: allCredits
-      };
-      
+      const filmography = await getPersonFilmography(person, roles, signal);
       filmographies[person.id] = filmography;
-      
-      // Cache this person
-      await chrome.storage.local.set({ [personCacheKey]: filmography });
-      
+      if (onFilmography && !signal?.aborted) onFilmography(person.id, filmography);
     } catch (err) {
+      if (signal?.aborted) return;
       console.error(`[Helper] Failed to get credits for ${person.name}:`, err);
     }
-  }
+  }));
   
-  // Build the final movie data object
-  const movieData = {
-    id: movieId,
-    title: movie.title,
+  signal?.throwIfAborted();
+  
+  console.log(`[Helper] Processed ${title}: ${peopleToProcess.length} people, ${Object.keys(filmographies).length} filmographies`);
+  
+  return {
+    id: record.id,
+    title: record.title,
     year: year,
     localId: localId,
-    genres: movie.genre_ids || [],
+    genres: record.genres,
+    resolution: board.resolution,
     people: peopleToProcess.map(p => ({
       ...p,
       creditCount: filmographies[p.id]?.creditCount || 0
     })),
     filmographies: filmographies,
-    complete: true,
-    cachedAt: Date.now()
+    roles: roles,
+    complete: true
   };
+}
+
+/**
+ * A board movie's data from the graph and cache alone, for reviewing games
+ *
+ * Never touches the network, and reads expired entries too: the movie record
+ * and whichever of its people's records are still cached. movie is
+ * { title, year, localId, id }; returns null if nothing usable is cached.
+ */
+async function getCachedMovieData(movie, roles) {
+  roles = roles || await getDefaultRoles();
   
-  // Cache the complete movie data
-  await chrome.storage.local.set({ [localId]: movieData });
+  const mapping = movie.id ? { id: movie.id } : await getTitleMapping(movie.localId);
+  const graphData = await getGraphMovieData(movie.title, movie.year, movie.localId, roles, mapping?.id);
+  if (graphData) return graphData;
   
-  console.log(`[Helper] Processed ${title}: ${peopleToProcess.length} people, ${Object.keys(filmographies).length} filmographies`);
+  const board = await cachePeek(`board_${movie.localId}`);
+  const movieId = movie.id ?? board?.movieId ?? mapping?.id;
+  const record = typeof movieId === 'number' ? await cachePeek(`movie_${movieId}`) : null;
+  if (!record) return null;
+  
+  const filmographies = {};
+  const people = [];
+  for (const person of buildPeopleList(record.people, roles).slice(0, MAX_PEOPLE_PER_MOVIE)) {
+    const personRecord = await cachePeek(`person_${person.id}`);
+    if (!personRecord || !hasAllRoles(personRecord.credits)) continue;
+    
+    filmographies[person.id] = filterFilmography(personRecord, roles);
+    people.push({ ...person, creditCount: filmographies[person.id].creditCount });
+  }
+  if (people.length === 0) return null;
+  
+  return {
+    id: movieId,
+    title: movie.title,
+    year: movie.year,
+    localId: movie.localId,
+    genres: movie.genres || record.genres,
+    people,
+    filmographies,
+    roles,
+    complete: true
+  };
+}
+
+/**
+ * Id of a board movie, from what the sidebar knows, the graph or a search
+ */
+async function getBoardMovieId(movie) {
+  if (movie.id) return movie.id;
+  
+  const mapping = await getTitleMapping(movie.localId);
+  if (mapping) return mapping.id;
+  
+  const graphMovie = await findGraphMovie(movie.title, movie.year);
+  if (graphMovie) return graphMovie.id;
+  
+  return (await resolveMovie(movie.title, movie.year, movie.localId)).movie.id;
+}
+
+/**
+ * Work out who each move on the board burned
+ *
+ * A move uses every person its movie shares with the one before, so the
+ * links are the intersection of the two credit lists - including the ones
+ * the board folds into "more links". pairs are [{ key, from, to }] with board
+ * movies as { title, year, localId, id }; returns { key: [{ id, name }] }.
+ * A pair whose film TMDB doesn't have maps to null; one that failed for any
+ * other reason is left out so it can be asked for again.
+ */
+async function resolveBoardLinks(pairs, roles) {
+  roles = roles || await getDefaultRoles();
+  const links = {};
+  
+  for (const pair of pairs) {
+    try {
+      const [fromId, toId] = await Promise.all([getBoardMovieId(pair.from), getBoardMovieId(pair.to)]);
+      const [fromPeople, toPeople] = await Promise.all([getMoviePeople(fromId, roles), getMoviePeople(toId, roles)]);
+      const toIds = new Set(toPeople.map(person => person.id));
+      links[pair.key] = fromPeople
+        .filter(person => toIds.has(person.id))
+        .map(person => ({ id: person.id, name: person.name }));
+    } catch (err) {
+      console.error(`[Helper] Failed to resolve links for ${pair.key}:`, err);
+      if (isNotFoundError(err)) links[pair.key] = null;
+    }
+  }
+  
+  return links;
+}
+
+/**
+ * Whether an error means TMDB doesn't have the film, rather than a request failing
+ */
+function isNotFoundError(err) {
+  return /^Movie not found|: 404$/.test(err.message);
+}
+
+/**
+ * Pick a starting movie for a practice battle
+ *
+ * Prefers a well-known film from the local graph, then any film with a
+ * cached movie record, so a battle can start without searching TMDB.
+ */
+async function pickPracticeMovie(minPopularity) {
+  const graphMovie = await getRandomGraphMovie(minPopularity);
+  if (graphMovie) {
+    return { id: graphMovie.id, title: graphMovie.title, year: graphMovie.year, genres: graphMovie.genres || [] };
+  }
   
-  return movieData;
+  const cachedMovies = (await cacheSearch('', 500)).filter(entry => entry.kind === 'movie');
+  if (cachedMovies.length === 0) {
+    throw new Error('No movies available offline yet - import a dataset or play a few games with the helper open');
+  }
+  
+  const entry = cachedMovies[Math.floor(Math.random() * cachedMovies.length)];
+  const record = await cachePeek(entry.key);
+  return { id: record.id, title: record.title, year: record.year, genres: record.genres };
 }
 
+/**
+ * Move cache entries written by older versions out of chrome.storage.local
+ */
+async function removeLegacyCache() {
+  const everything = await chrome.storage.local.get(null);
+  const legacyKeys = Object.keys(everything).filter(key => !SETTINGS_KEYS.includes(key) && (
+    key.startsWith('person_') ||
+    key.startsWith('credits_') ||
+    (everything[key] && everything[key].filmographies)
+  ));
+  
+  if (legacyKeys.length > 0) {
+    await chrome.storage.local.remove(legacyKeys);
+    console.log(`[Helper] Removed ${legacyKeys.length} legacy cache entries from storage`);
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  removeLegacyCache().catch(err => console.error('[Helper] Legacy cache cleanup failed:', err));
+});
+
+// A worker starting up may have been shut down mid-load; finish what it left
+const jobsResumed = resumeMovieJobs().catch(err => console.error('[Helper] Failed to resume jobs:', err));
+
+// Streaming loads: the sidebar opens a port per board movie and gets the
+// people list first, then each filmography as it arrives. Loads run as
+// resumable jobs (see jobs.js), so a sidebar reconnecting after the worker
+// was shut down picks up the resumed job and is told so
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== 'movie-data') return;
+  
+  let stopWatching = null;
+  let closed = false;
+  const close = () => {
+    closed = true;
+    if (stopWatching) stopWatching();
+  };
+  port.onDisconnect.addListener(close);
+  
+  port.onMessage.addListener(async message => {
+    if (message.type === 'cancel') {
+      close();
+      return;
+    }
+    
+    if (message.type !== 'load') return;
+    
+    const { title, year, localId, movie, rules } = message;
+    const send = msg => {
+      if (!closed) port.postMessage(msg);
+    };
+    
+    await jobsResumed;
+    if (closed) return;
+    
+    const roles = rules?.roles || await getDefaultRoles();
+    const job = startMovieJob({ title, year, localId, movie, roles });
+    let total = 0;
+    
+    stopWatching = watchMovieJob(job, {
+      onStart: (data, count) => {
+        total = count;
+        send({ type: 'start', localId, data, total, resumed: job.resumed });
+      },
+      onFilmography: (personId, filmography, loaded) => {
+        send({ type: 'filmography', localId, personId, filmography, loaded, total });
+      }
+    });
+    
+    job.promise
+      .then(data => send({ type: 'done', localId, data }))
+      .catch(err => send({ type: 'error', localId, error: err.message }));
+  });
+});
+
+// Prefetch during the opponent's turn: the sidebar opens a port when the turn
+// passes and drops it when its own turn starts, which stops the prefetch
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== 'prefetch') return;
+  
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+  
+  port.onMessage.addListener(message => {
+    if (message.type !== 'start') return;
+    
+    prefetchLikelyReplies(message.request, controller.signal)
+      .then(result => {
+        if (!controller.signal.aborted) port.postMessage({ type: 'done', localId: message.request.localId, ...result });
+      })
+      .catch(err => console.error('[Helper] Prefetch failed:', err));
+  });
+});
+
 // Message handler
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'getMovieData') {
-    processMovieRequest(message.title, message.year, message.localId)
+    processMovieRequest(message.title, message.year, message.localId, { roles: message.rules?.roles })
       .then(data => sendResponse({ success: true, data }))
       .catch(err => sendResponse({ success: false, error: err.message }));
     return true; // Will respond asynchronously
   }
   
+  if (message.type === 'chooseMovie') {
+    saveTitleMapping(message.localId, message.movie, message.candidates)
+      .then(() => cacheDelete(`board_${message.localId}`))
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'runLookahead') {
+    runLookahead(message.request)
+      .then(results => sendResponse({ success: true, results }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'resolveBoardLinks') {
+    resolveBoardLinks(message.pairs, message.rules?.roles)
+      .then(links => sendResponse({ success: true, links }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'getFilmography') {
+    (message.roles ? Promise.resolve(message.roles) : getDefaultRoles())
+      .then(roles => getPersonFilmography(message.person, roles))
+      .then(filmography => sendResponse({ success: true, filmography }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
+  // Everyone on a movie, not just the people a movie load covers
+  if (message.type === 'getMoviePeople') {
+    (message.roles ? Promise.resolve(message.roles) : getDefaultRoles())
+      .then(roles => getMoviePeople(message.movieId, roles))
+      .then(people => sendResponse({ success: true, people }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'getCachedMovieData') {
+    getCachedMovieData(message.movie, message.roles)
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
+  // Content scripts can't open extension pages themselves
+  if (message.type === 'openReview') {
+    chrome.tabs.create({ url: chrome.runtime.getURL(`review/review.html?match=${encodeURIComponent(message.matchId)}`) })
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'getMovieMetadata') {
+    getMoviesMetadata(message.ids)
+      .then(metadata => sendResponse({ success: true, metadata }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'getPracticeMovie') {
+    pickPracticeMovie(message.minPopularity)
+      .then(movie => sendResponse({ success: true, movie }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
   if (message.type === 'clearCache') {
-    chrome.storage.local.clear()
+    cacheClear()
       .then(() => sendResponse({ success: true }))
       .catch(err => sendResponse({ success: false, error: err.message }));
     return true;
   }
   
+  if (message.type === 'getCacheStats') {
+    cacheStats()
+      .then(stats => sendResponse({ success: true, stats }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'searchCache') {
+    cacheSearch(message.query)
+      .then(entries => sendResponse({ success: true, entries }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
+  if (message.type === 'invalidateCache') {
+    cacheDelete(message.key)
+      .then(deleted => sendResponse({ success: true, deleted }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+  
   if (message.type === 'getGenres') {
     sendResponse({ success: true, genres: GENRES });
     return false;
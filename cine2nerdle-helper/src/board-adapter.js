@@ -0,0 +1,268 @@
+/**
+ * Cine2Nerdle Helper - Board Adapter
+ * Everything that knows the battle page's markup: selectors, board parsing,
+ * and a MutationObserver that turns page changes into typed events
+ *
+ * Readers take a root (the live document by default) so saved boards in
+ * fixtures/ can be parsed offline. If the site is redesigned, this is the
+ * only file that should need to change.
+ */
+
+const BOARD_SELECTORS = {
+  movie: '.battle-board-movie',
+  connectionName: '.connection-name',
+  input: '.battle-input',
+  battleOver: '.battle-over',
+  winCondition: '.win-condition, .battle-win-condition',
+  opponent: '.opponent, .battle-opponent',
+  modeText: '.battle-mode, .battle-header, .battle-title, h1, h2',
+  answerError: '.battle-input-error, .battle-error, [role="alert"]'
+};
+
+// Class on the box the game shows in place of a movie once it's over
+const GAME_OVER_MOVIE_CLASS = 'battle-board-game-over';
+
+// Connection entries that stand for links the board doesn't name
+const MORE_LINKS_TEXT = 'more link';
+
+// What the game says when it turns an answer away for not being in the Top 5000
+const ELIGIBILITY_REJECTION_PATTERN = /top\s*5,?000|not eligible|isn['’]t eligible/i;
+
+// Page changes are read at most this often
+const BOARD_OBSERVE_DEBOUNCE_MS = 100;
+
+/**
+ * Parse movie title and year from the game board
+ */
+function parseMovieTitle(text) {
+  // Format: "Movie Title (YYYY)"
+  const match = text.match(/^(.+?)\s*\((\d{4})\)$/);
+  if (match) {
+    return { title: match[1].trim(), year: parseInt(match[2]) };
+  }
+  return null;
+}
+
+/**
+ * A movie box's own text, without its children's (badges, timers, links)
+ */
+function movieBoxText(box) {
+  let childText = '';
+  for (const child of box.children) {
+    childText += child.textContent;
+  }
+  return box.textContent.substring(childText.length).trim();
+}
+
+/**
+ * Get the board as an ordered chain, oldest movie first
+ *
+ * The board lists the newest movie first, and the connection names for each
+ * move follow the movie they led to in document order. Entries are
+ * { title, year, localId, connections, moreLinks } where moreLinks says the
+ * board folded some of the move's links away.
+ */
+function getBoardChain(root = document) {
+  const nodes = root.querySelectorAll(`${BOARD_SELECTORS.movie}, ${BOARD_SELECTORS.connectionName}`);
+  const chain = [];
+  
+  for (const node of nodes) {
+    if (node.matches(BOARD_SELECTORS.connectionName)) {
+      const name = node.textContent.trim();
+      const last = chain[chain.length - 1];
+      if (!last || !name) continue;
+      if (name.toLowerCase().includes(MORE_LINKS_TEXT)) {
+        last.moreLinks = true;
+      } else {
+        last.connections.push(name);
+      }
+      continue;
+    }
+    
+    if (node.classList.contains(GAME_OVER_MOVIE_CLASS)) continue;
+    
+    const movieText = movieBoxText(node);
+    const parsed = movieText ? parseMovieTitle(movieText) : null;
+    
+    if (parsed) {
+      chain.push({ ...parsed, localId: movieText, connections: [], moreLinks: false });
+    }
+  }
+  
+  return chain.reverse();
+}
+
+/**
+ * Get the current movie from the game board
+ */
+function getCurrentMovie(root = document) {
+  const chain = getBoardChain(root);
+  const current = chain[chain.length - 1];
+  return current ? { title: current.title, year: current.year } : null;
+}
+
+/**
+ * Get all movies that have been played and count them
+ */
+function getPlayedMovies(root = document) {
+  const chain = getBoardChain(root);
+  return {
+    played: new Set(chain.map(entry => entry.localId.toLowerCase())),
+    count: chain.length
+  };
+}
+
+/**
+ * Check if it's currently the player's turn
+ */
+function isPlayerTurn(root = document) {
+  return root.querySelector(BOARD_SELECTORS.input) !== null;
+}
+
+/**
+ * Check if the game is over
+ */
+function isGameOver(root = document) {
+  return root.querySelector(BOARD_SELECTORS.battleOver) !== null ||
+         root.querySelector(`.${GAME_OVER_MOVIE_CLASS}`) !== null;
+}
+
+/**
+ * Text of the end-of-game screen, empty while the game is on
+ */
+function getBattleOverText(root = document) {
+  return root.querySelector(BOARD_SELECTORS.battleOver)?.textContent || '';
+}
+
+/**
+ * Whether an element is (inside) the answer box
+ */
+function isBattleInput(element) {
+  return Boolean(element?.closest?.(BOARD_SELECTORS.input));
+}
+
+/**
+ * The game's message turning an answer away as outside the Top 5000, or null
+ *
+ * Only an explicit message counts; any other error says nothing about
+ * eligibility.
+ */
+function getEligibilityRejection(root = document) {
+  for (const node of root.querySelectorAll(BOARD_SELECTORS.answerError)) {
+    if (node.closest('#cine-helper')) continue;
+    const text = node.textContent.trim();
+    if (ELIGIBILITY_REJECTION_PATTERN.test(text)) return text;
+  }
+  return null;
+}
+
+/**
+ * Raw win condition text for each player (Battle 2.0)
+ */
+function getWinConditionTexts(root = document) {
+  const texts = { mine: [], opponent: [] };
+  
+  for (const node of root.querySelectorAll(BOARD_SELECTORS.winCondition)) {
+    // Nested matches would be read twice
+    if (node.parentElement?.closest(BOARD_SELECTORS.winCondition)) continue;
+    
+    const text = node.textContent.trim();
+    if (!text) continue;
+    
+    texts[node.closest(BOARD_SELECTORS.opponent) ? 'opponent' : 'mine'].push(text);
+  }
+  
+  return texts;
+}
+
+/**
+ * Text that names the battle mode: the URL and the battle's headings
+ */
+function getBattleModeText(root = document) {
+  const headings = root.querySelectorAll(BOARD_SELECTORS.modeText);
+  const path = root.location?.pathname || '';
+  return [path, root.title || '', ...Array.from(headings, h => h.textContent)].join(' ');
+}
+
+/**
+ * Everything the helper reads from the board in one pass
+ */
+function readBoard(root = document) {
+  return {
+    chain: getBoardChain(root),
+    playerTurn: isPlayerTurn(root),
+    gameOver: isGameOver(root),
+    winConditions: getWinConditionTexts(root),
+    modeText: getBattleModeText(root)
+  };
+}
+
+/**
+ * Watch the page and report what changed
+ *
+ * Hooks (all optional) are called with a typed event after each change:
+ *   onTurnStarted({ type: 'turnStarted', mine })
+ *   onMoviePlayed({ type: 'moviePlayed', movie, index })
+ *   onLinkUsed({ type: 'linkUsed', name, movie })
+ *   onGameOver({ type: 'gameOver', overText })
+ *   onChange({ type: 'change', board }) - after the specific events, for any change
+ * Mutations inside ignoreSelector (the helper's own UI) are skipped. Returns a
+ * function that stops observing.
+ */
+function observeBoard(hooks, ignoreSelector = null) {
+  let previous = null;
+  let timer = null;
+  
+  const emit = (name, event) => {
+    try {
+      hooks[name]?.(event);
+    } catch (e) {
+      console.error(`[Helper] Board ${event.type} handler failed:`, e);
+    }
+  };
+  
+  const check = () => {
+    timer = null;
+    const board = readBoard();
+    const before = previous;
+    previous = board;
+    if (before && JSON.stringify(before) === JSON.stringify(board)) return;
+    
+    // A shorter board than before is a new game
+    const oldChain = before && board.chain.length >= before.chain.length ? before.chain : [];
+    board.chain.forEach((movie, index) => {
+      const old = oldChain[index];
+      if (!old || old.localId !== movie.localId) {
+        emit('onMoviePlayed', { type: 'moviePlayed', movie, index });
+      }
+      for (const name of movie.connections.slice(old?.localId === movie.localId ? old.connections.length : 0)) {
+        emit('onLinkUsed', { type: 'linkUsed', name, movie });
+      }
+    });
+    
+    if (board.playerTurn !== before?.playerTurn && !board.gameOver) {
+      emit('onTurnStarted', { type: 'turnStarted', mine: board.playerTurn });
+    }
+    if (board.gameOver && !before?.gameOver) {
+      emit('onGameOver', { type: 'gameOver', overText: getBattleOverText() });
+    }
+    emit('onChange', { type: 'change', board });
+  };
+  
+  const observer = new MutationObserver(records => {
+    if (ignoreSelector && records.every(record => {
+      const target = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+      return target?.closest(ignoreSelector);
+    })) return;
+    
+    if (!timer) timer = setTimeout(check, BOARD_OBSERVE_DEBOUNCE_MS);
+  });
+  
+  observer.observe(document.body, { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['class'] });
+  check();
+  
+  return () => {
+    observer.disconnect();
+    clearTimeout(timer);
+  };
+}
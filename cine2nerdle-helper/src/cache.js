@@ -0,0 +1,310 @@
+/**
+ * Cine2Nerdle Helper - Cache
+ * IndexedDB-backed cache for TMDB data with per-entry TTLs and LRU eviction
+ *
+ * Settings (API key, filters, ...) stay in chrome.storage.local; this store
+ * only ever holds data that can be refetched, so clearing it is always safe.
+ */
+
+const CACHE_DB_NAME = 'cine2nerdle-cache';
+const CACHE_DB_VERSION = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long each kind of entry stays fresh
+const CACHE_TTL_MS = {
+  board: 7 * DAY_MS,  // Which film a board title resolved to
+  movie: 30 * DAY_MS, // A film's details, keywords and cast/crew
+  details: 30 * DAY_MS, // A film's details and keywords alone, for filters
+  person: 14 * DAY_MS // A person's filmography (grows as they work)
+};
+
+// Evict least recently used entries above this size, down to the low-water mark
+const CACHE_BUDGET_BYTES = 50 * 1024 * 1024;
+const CACHE_LOW_WATER_BYTES = CACHE_BUDGET_BYTES * 0.9;
+
+// Don't rewrite an entry just to bump lastAccess more often than this
+const CACHE_TOUCH_INTERVAL_MS = 60 * 1000;
+
+let cacheDbPromise = null;
+let cacheCounters = null; // { hits, misses }, persisted in the meta store
+let counterFlushTimer = null;
+
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = openDatabase(CACHE_DB_NAME, CACHE_DB_VERSION, (db, oldVersion, transaction) => {
+      if (oldVersion < 1) {
+        const entries = db.createObjectStore('entries', { keyPath: 'key' });
+        entries.createIndex('lastAccess', 'lastAccess');
+        db.createObjectStore('meta');
+      }
+      if (oldVersion < 3) {
+        transaction.objectStore('entries').createIndex('kind', 'kind');
+      }
+      if (oldVersion === 1 || oldVersion === 2) {
+        // Version 1 kept assembled board movies, credit lists and metadata
+        // apart; only filmographies carry over into the shared records.
+        // Before version 3 the total size wasn't stored, so add it up once
+        let bytes = 0;
+        const request = transaction.objectStore('entries').openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            transaction.objectStore('meta').put(bytes, 'bytes');
+            return;
+          }
+          if (oldVersion === 1 && cursor.value.kind !== 'person') {
+            cursor.delete();
+          } else {
+            bytes += cursor.value.bytes;
+          }
+          cursor.continue();
+        };
+      }
+    }).catch(err => {
+      cacheDbPromise = null;
+      throw err;
+    });
+  }
+  return cacheDbPromise;
+}
+
+/**
+ * Rough size of a value in bytes
+ */
+function estimateBytes(value) {
+  return JSON.stringify(value).length;
+}
+
+/**
+ * Human-readable label for listing entries
+ */
+function cacheLabel(key, kind, value) {
+  if (kind === 'person') return value.name;
+  if (kind === 'movie' || kind === 'details') return `${value.title} (${value.year})`;
+  if (kind === 'board') return value.localId;
+  return key;
+}
+
+async function loadCacheCounters() {
+  if (!cacheCounters) {
+    const db = await openCacheDb();
+    const stored = await promisifyRequest(db.transaction('meta').objectStore('meta').get('counters'));
+    cacheCounters = stored || { hits: 0, misses: 0 };
+  }
+  return cacheCounters;
+}
+
+function countCacheLookup(hit) {
+  if (!cacheCounters) return;
+  cacheCounters[hit ? 'hits' : 'misses']++;
+  
+  // Persist in the background; losing a few counts to a worker shutdown is fine
+  clearTimeout(counterFlushTimer);
+  counterFlushTimer = setTimeout(async () => {
+    const db = await openCacheDb();
+    db.transaction('meta', 'readwrite').objectStore('meta').put(cacheCounters, 'counters');
+  }, 2000);
+}
+
+/**
+ * Total size of every entry, kept in the meta store
+ */
+async function getCacheBytes() {
+  const db = await openCacheDb();
+  return (await promisifyRequest(db.transaction('meta').objectStore('meta').get('bytes'))) || 0;
+}
+
+/**
+ * Move the stored total size by delta, inside a readwrite transaction over
+ * both stores so concurrent writes can't lose each other's changes
+ */
+function adjustCacheBytes(tx, delta) {
+  const meta = tx.objectStore('meta');
+  const request = meta.get('bytes');
+  request.onsuccess = () => meta.put((request.result || 0) + delta, 'bytes');
+}
+
+/**
+ * Get a cached value, or null when missing or expired
+ */
+async function cacheGet(key) {
+  const db = await openCacheDb();
+  await loadCacheCounters();
+  
+  const entry = await promisifyRequest(db.transaction('entries').objectStore('entries').get(key));
+  const now = Date.now();
+  
+  if (!entry) {
+    countCacheLookup(false);
+    return null;
+  }
+  
+  if (entry.expiresAt <= now) {
+    countCacheLookup(false);
+    await cacheDelete(key);
+    return null;
+  }
+  
+  countCacheLookup(true);
+  
+  if (now - entry.lastAccess > CACHE_TOUCH_INTERVAL_MS) {
+    entry.lastAccess = now;
+    db.transaction('entries', 'readwrite').objectStore('entries').put(entry);
+  }
+  
+  return entry.value;
+}
+
+/**
+ * Read a value without counting a lookup or refreshing its access time
+ */
+async function cachePeek(key) {
+  const db = await openCacheDb();
+  const entry = await promisifyRequest(db.transaction('entries').objectStore('entries').get(key));
+  return entry ? entry.value : null;
+}
+
+/**
+ * Store a value under one of the CACHE_TTL_MS kinds
+ */
+async function cacheSet(key, kind, value) {
+  const db = await openCacheDb();
+  const now = Date.now();
+  const entry = {
+    key,
+    kind,
+    label: cacheLabel(key, kind, value),
+    value,
+    bytes: estimateBytes(value),
+    createdAt: now,
+    expiresAt: now + CACHE_TTL_MS[kind],
+    lastAccess: now
+  };
+  
+  const tx = db.transaction(['entries', 'meta'], 'readwrite');
+  const store = tx.objectStore('entries');
+  const previous = await promisifyRequest(store.get(key));
+  store.put(entry);
+  adjustCacheBytes(tx, entry.bytes - (previous ? previous.bytes : 0));
+  await transactionDone(tx);
+  
+  if (await getCacheBytes() > CACHE_BUDGET_BYTES) {
+    await evictCache();
+  }
+}
+
+/**
+ * Drop least recently used entries until under the low-water mark
+ */
+async function evictCache() {
+  const db = await openCacheDb();
+  const tx = db.transaction(['entries', 'meta'], 'readwrite');
+  const index = tx.objectStore('entries').index('lastAccess');
+  let bytes = (await promisifyRequest(tx.objectStore('meta').get('bytes'))) || 0;
+  let evicted = 0;
+  
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || bytes <= CACHE_LOW_WATER_BYTES) {
+        tx.objectStore('meta').put(bytes, 'bytes');
+        return resolve();
+      }
+      bytes -= cursor.value.bytes;
+      cursor.delete();
+      evicted++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  
+  await transactionDone(tx);
+  console.log(`[Helper] Cache evicted ${evicted} entries`);
+}
+
+/**
+ * Remove a single entry
+ */
+async function cacheDelete(key) {
+  const db = await openCacheDb();
+  const tx = db.transaction(['entries', 'meta'], 'readwrite');
+  const store = tx.objectStore('entries');
+  const entry = await promisifyRequest(store.get(key));
+  if (entry) {
+    store.delete(key);
+    adjustCacheBytes(tx, -entry.bytes);
+  }
+  await transactionDone(tx);
+  
+  return Boolean(entry);
+}
+
+/**
+ * Remove every entry and reset statistics
+ */
+async function cacheClear() {
+  const db = await openCacheDb();
+  const tx = db.transaction(['entries', 'meta'], 'readwrite');
+  tx.objectStore('entries').clear();
+  tx.objectStore('meta').clear();
+  await transactionDone(tx);
+  
+  cacheCounters = { hits: 0, misses: 0 };
+}
+
+/**
+ * Entry counts, size and hit rate
+ */
+async function cacheStats() {
+  const db = await openCacheDb();
+  const counters = await loadCacheCounters();
+  
+  // Counted through the indexes, so no cached value is read
+  const tx = db.transaction(['entries', 'meta']);
+  const store = tx.objectStore('entries');
+  const kinds = Object.keys(CACHE_TTL_MS);
+  const [entries, bytes, ...kindCounts] = await Promise.all([
+    promisifyRequest(store.count()),
+    promisifyRequest(tx.objectStore('meta').get('bytes')),
+    ...kinds.map(kind => promisifyRequest(store.index('kind').count(kind)))
+  ]);
+  const byKind = Object.fromEntries(kinds.map((kind, i) => [kind, kindCounts[i]]));
+  
+  const lookups = counters.hits + counters.misses;
+  return {
+    entries,
+    byKind,
+    bytes: bytes || 0,
+    budgetBytes: CACHE_BUDGET_BYTES,
+    hits: counters.hits,
+    misses: counters.misses,
+    hitRate: lookups > 0 ? counters.hits / lookups : null
+  };
+}
+
+/**
+ * List movie and person entries whose label matches a search string
+ */
+async function cacheSearch(query, limit = 20) {
+  const db = await openCacheDb();
+  const needle = query.trim().toLowerCase();
+  const results = [];
+  
+  await new Promise((resolve, reject) => {
+    const request = db.transaction('entries').objectStore('entries').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || results.length >= limit) return resolve();
+      const { key, kind, label, bytes, createdAt } = cursor.value;
+      if ((kind === 'movie' || kind === 'person') && label.toLowerCase().includes(needle)) {
+        results.push({ key, kind, label, bytes, createdAt });
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  
+  return results;
+}
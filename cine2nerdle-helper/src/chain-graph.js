@@ -0,0 +1,144 @@
+/**
+ * Cine2Nerdle Helper - Chain Graph
+ * Draws the battle so far as an SVG graph for the sidebar
+ *
+ * Played movies run down the left as a chain of nodes, oldest first, with
+ * each move's people on the edge into it. The current movie's candidate
+ * replies fan out below it to the right. Everything here is a pure function
+ * of board data, so the content script only supplies the chain, the link
+ * moves from getUsedConnections() and the ranked options. Labels are escaped
+ * with the content script's escapeHtml().
+ */
+
+// Vertical spacing of chain nodes and candidate rows, in px
+const GRAPH_CHAIN_STEP = 44;
+const GRAPH_CANDIDATE_STEP = 22;
+const GRAPH_NODE_RADIUS = 5;
+
+// People named on an edge before the rest fold into "+N"
+const GRAPH_EDGE_NAMES = 3;
+
+// Rough width of a character at the graph's font size, for truncating labels
+const GRAPH_CHAR_WIDTH = 6;
+
+/**
+ * Shorten a label to fit the given width in px
+ */
+function fitLabel(text, width) {
+  const max = Math.max(4, Math.floor(width / GRAPH_CHAR_WIDTH));
+  return text.length > max ? text.slice(0, max - 1) + '…' : text;
+}
+
+/**
+ * Work out node and edge positions
+ *
+ * chain is the board chain ({ localId }, oldest first), moves are
+ * getUsedConnections() moves (move i leads into chain[i + 1]) and candidates
+ * are ranked options. Returns { width, height, nodes, edges, candidates }.
+ */
+function layoutChainGraph(chain, moves, candidates, width) {
+  const x = GRAPH_NODE_RADIUS + 8;
+  const nodes = chain.map((movie, index) => ({
+    label: movie.localId,
+    x,
+    y: 16 + index * GRAPH_CHAIN_STEP,
+    current: index === chain.length - 1
+  }));
+  
+  const edges = moves.map((move, index) => ({
+    from: nodes[index],
+    to: nodes[index + 1],
+    people: move.people,
+    resolved: move.resolved
+  })).filter(edge => edge.from && edge.to);
+  
+  const current = nodes[nodes.length - 1];
+  const candidateX = Math.round(width * 0.4);
+  const placed = current ? candidates.map((option, index) => ({
+    option,
+    x: candidateX,
+    y: current.y + 24 + index * GRAPH_CANDIDATE_STEP
+  })) : [];
+  
+  const bottom = placed.length > 0 ? placed[placed.length - 1].y : (current ? current.y : 0);
+  return { width, height: bottom + 16, nodes, edges, candidates: placed };
+}
+
+/**
+ * Text for an edge's people, e.g. "Tom Hanks 2/3, Meg Ryan 1/3 +2"
+ */
+function describeGraphEdge(people, usage, linkCap) {
+  const names = people.map(person => `${person.name} ${usage[person.id] || 0}/${linkCap}`);
+  const extra = names.length - GRAPH_EDGE_NAMES;
+  return {
+    label: names.slice(0, GRAPH_EDGE_NAMES).join(', ') + (extra > 0 ? ` +${extra}` : ''),
+    full: names.join(', ')
+  };
+}
+
+/**
+ * The battle as SVG markup
+ *
+ * state is { usage, linkCap } for the edge counts. Candidate nodes carry
+ * data-candidate with their index in candidates, for hover handling.
+ */
+function renderChainGraph(layout, state) {
+  const { usage, linkCap } = state;
+  const labelWidth = layout.width - GRAPH_NODE_RADIUS * 2 - 24;
+  const parts = [];
+  
+  for (const edge of layout.edges) {
+    const spent = edge.people.some(person => (usage[person.id] || 0) >= linkCap);
+    const { label, full } = describeGraphEdge(edge.people, usage, linkCap);
+    const midY = (edge.from.y + edge.to.y) / 2;
+    parts.push(`
+      <g class="graph-edge ${spent ? 'spent' : ''} ${edge.resolved ? '' : 'pending'}">
+        <title>${escapeHtml(full)}</title>
+        <line x1="${edge.from.x}" y1="${edge.from.y}" x2="${edge.to.x}" y2="${edge.to.y}"/>
+        <text x="${edge.from.x + 12}" y="${midY + 4}">${escapeHtml(fitLabel(label, labelWidth))}</text>
+      </g>
+    `);
+  }
+  
+  const current = layout.nodes[layout.nodes.length - 1];
+  layout.candidates.forEach(({ option, x, y }, index) => {
+    const startY = current.y + GRAPH_NODE_RADIUS;
+    const classes = ['graph-candidate', option.isPriority ? 'priority' : '', option.isTrap ? 'trap' : ''].join(' ');
+    const title = `${option.movie.title} (${option.movie.year})`;
+    parts.push(`
+      <g class="${classes}" data-candidate="${index}">
+        <title>${escapeHtml(title)}</title>
+        <path d="M${current.x} ${startY} C${current.x} ${y}, ${current.x} ${y}, ${x} ${y}"/>
+        <circle cx="${x}" cy="${y}" r="${GRAPH_NODE_RADIUS - 1}"/>
+        <text x="${x + 10}" y="${y + 4}">${escapeHtml(fitLabel(title, layout.width - x - 14))}</text>
+      </g>
+    `);
+  });
+  
+  for (const node of layout.nodes) {
+    parts.push(`
+      <g class="graph-node ${node.current ? 'current' : ''}">
+        <title>${escapeHtml(node.label)}</title>
+        <circle cx="${node.x}" cy="${node.y}" r="${GRAPH_NODE_RADIUS}"/>
+        <text x="${node.x + 12}" y="${node.y + 4}">${escapeHtml(fitLabel(node.label, labelWidth))}</text>
+      </g>
+    `);
+  }
+  
+  return `<svg class="cine-helper-graph-svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">${parts.join('')}</svg>`;
+}
+
+/**
+ * Who playing a candidate would burn, as { name, before, after, spent }
+ *
+ * Every person the candidate shares with the current movie uses one more of
+ * their link, whether or not they're the one named as its "via".
+ */
+function describeCandidateBurn(option, linkCap) {
+  return option.sharedPeople.map(person => ({
+    name: person.name,
+    before: person.timesUsed,
+    after: person.timesUsed + 1,
+    spent: person.timesUsed + 1 >= linkCap
+  }));
+}
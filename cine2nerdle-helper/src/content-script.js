@@ -6,261 +6,269 @@
 // State
 let currentMovieId = null;
 let movieData = null;
-let linkUsage = {}; // Track how many times each person has been used as a link
+let linkUsage = {}; // Track how many times each person has been used as a link, by person id
+let linkMoves = []; // Each move's links for the expanded view, see getUsedConnections()
+let boardLinks = {}; // Pair key -> [{ id, name }] resolved from credits, or null if a film isn't on TMDB
+let boardLinksPending = false;
+let boardLinkRetries = {}; // Pair key -> { attempts, at } for pairs whose lookup failed
 let playedMovies = new Set();
-let priorityFilters = { genres: [], decade: null };
+let priorityFilters = { genres: [], decade: null, expression: '' };
+let filterPresets = {}; // Saved priority filters by name
+let movieMetadata = {}; // TMDB movie id -> metadata for filter expressions, see getMovieMetadata()
+let metadataRequested = new Set(); // Movie ids already asked for, loaded or not
+let metadataFailed = new Set(); // Movie ids TMDB had no metadata for; they stay unknown
+let metadataBudget = { movieId: null, used: 0 }; // Films checked for the current board movie
+let metadataRetryAt = 0; // After a failed batch, wait until then before asking again
+let moviePeople = null; // { movieId, people } - everyone credited on the current movie, for the explorer
+let personPanel = null; // { person, filmography, error } for the person explorer
+let graphCandidates = []; // Options drawn in the battle graph, by data-candidate index
+let graphExpanded = false;
 let helperVisible = true;
 let isSetupPhase = true;
+let scoringSettings = { preset: DEFAULT_SCORING_PRESET, customWeights: null }; // See scoring.js
+let lookaheadDepth = 0; // 0 = off
+let lookaheadResults = {}; // Candidate movie id -> { outcome, explanation }
+let lookaheadToken = 0; // Ignore results from searches that have been superseded
+let loadPort = null; // Port for the movie load in progress
+let loadingMovieId = null;
+let resumingMovieId = null; // Board movie whose load dropped when the worker was shut down
+let resumeAttempts = 0;
+let prefetchPort = null; // Port for the opponent's-turn prefetch, see prefetch.js
+let prefetchMovieId = null; // Board movie the last prefetch ran for
+let eligibility = null; // Stored Top 5000 data, see eligibility.js
+let pendingGuess = null; // { text, count, at } for the last answer submitted during setup
+let rulesSettings = null; // Stored rules profiles, see rules-profiles.js
+let activeRules = BUILT_IN_RULES_PROFILES[DEFAULT_RULES_PROFILE_ID];
+let rulesDetected = false; // Whether activeRules came from the page or is the default
+let winConditions = { mine: [], opponent: [] }; // Parsed Battle 2.0 win conditions, see win-conditions.js
+let winConditionFilterKey = null; // Text of the condition last applied as the priority filter
+let filtersFromWinCondition = false; // Priority filters were set from a win condition, not by hand
 
-// Top 5000 threshold - TMDB popularity score
-// Based on research: popularity ~10+ is generally well-known films
-// Being conservative here; adjust based on testing
-const TOP_5000_POPULARITY_THRESHOLD = 8;
-
-// Genre ID mapping (same as background)
-const GENRES = {
-  28: 'Action',
-  12: 'Adventure',
-  16: 'Animation',
-  35: 'Comedy',
-  80: 'Crime',
-  99: 'Documentary',
-  18: 'Drama',
-  10751: 'Family',
-  14: 'Fantasy',
-  36: 'History',
-  27: 'Horror',
-  10402: 'Music',
-  9648: 'Mystery',
-  10749: 'Romance',
-  878: 'Sci-Fi',
-  10770: 'TV Movie',
-  53: 'Thriller',
-  10752: 'War',
-  37: 'Western'
-};
-
-const GENRE_IDS = Object.fromEntries(
-  Object.entries(GENRES).map(([id, name]) => [name, parseInt(id)])
-);
-
-/**
- * Parse movie title and year from the game board
- */
-function parseMovieTitle(text) {
-  // Format: "Movie Title (YYYY)"
-  const match = text.match(/^(.+?)\s*\((\d{4})\)$/);
-  if (match) {
-    return { title: match[1].trim(), year: parseInt(match[2]) };
-  }
-  return null;
-}
-
-/**
- * Get the current movie from the game board
- */
-function getCurrentMovie() {
-  const movieBoxes = document.querySelectorAll('.battle-board-movie');
-  
-  for (const box of movieBoxes) {
-    if (box.classList.contains('battle-board-game-over')) continue;
-    
-    // Extract just the movie title (exclude child element text)
-    let fullText = box.textContent;
-    let childText = '';
-    for (const child of box.children) {
-      childText += child.textContent;
-    }
-    const movieText = fullText.substring(childText.length).trim();
-    
-    if (movieText) {
-      return parseMovieTitle(movieText);
-    }
-  }
-  return null;
+// Lookahead searches the top options only, within a time budget
+const LOOKAHEAD_CANDIDATES = 8;
+const LOOKAHEAD_TIME_BUDGET_MS = 8000;
+
+// A setup-phase answer still not on the board after this long was turned down
+const GUESS_REJECTED_AFTER_MS = 2500;
+
+// A failed load is retried after this long if the board hasn't moved on
+const LOAD_RETRY_MS = 5000;
+
+// A board link lookup that failed is retried after this long, doubling each time up to the max
+const LINK_RETRY_MS = 5000;
+const MAX_LINK_RETRY_MS = 2 * 60 * 1000;
+
+// A load cut off by the worker shutting down reconnects after this long, a few times at most
+const RESUME_DELAY_MS = 1000;
+const MAX_RESUME_ATTEMPTS = 3;
+
+// Films whose metadata is requested at once for a filter expression
+const METADATA_BATCH_SIZE = 40;
+
+// Most films checked per board movie, best-ranked first, so an expression
+// doesn't crawl every candidate while the movie itself is loading
+const MAX_METADATA_PER_MOVIE = 120;
+
+// Candidates fanned out in the battle graph, and its width in the sidebar and expanded
+const GRAPH_CANDIDATES = 8;
+const GRAPH_CANDIDATES_EXPANDED = 16;
+const GRAPH_WIDTH = 296;
+const GRAPH_WIDTH_EXPANDED = 600;
+
+/**
+ * Key for the move from one board movie to the next
+ */
+function linkPairKey(from, to) {
+  return `${from.localId} → ${to.localId}`;
 }
 
 /**
- * Get all connection names that have been used
+ * Count link uses by person id along the board
+ *
+ * Moves resolved by the background count every person the two movies share,
+ * including the ones the board folds into "more links". Until then a move
+ * falls back to its displayed names, matched against the current movie's
+ * people. Returns { usage, moves } where moves lists each move's links as
+ * { movie, people: [{ id, name, shown }], resolved }.
  */
 function getUsedConnections() {
-  const connections = document.querySelectorAll('.connection-name');
-  const used = {};
+  const chain = getBoardChain();
+  const usage = {};
+  const moves = [];
+  const peopleByName = new Map((movieData?.people || []).map(person => [person.name.toLowerCase(), person]));
   
-  for (const conn of connections) {
-    const name = conn.textContent.trim().toLowerCase();
-    if (name && !name.includes('more link')) {
-      used[name] = (used[name] || 0) + 1;
+  for (let i = 1; i < chain.length; i++) {
+    const shown = new Set(chain[i].connections.map(name => name.toLowerCase()));
+    const resolved = boardLinks[linkPairKey(chain[i - 1], chain[i])];
+    
+    const people = resolved?.length > 0
+      ? resolved.map(person => ({ ...person, shown: shown.has(person.name.toLowerCase()) }))
+      : chain[i].connections.map(name => {
+        const person = peopleByName.get(name.toLowerCase());
+        return { id: person ? person.id : `name:${name.toLowerCase()}`, name, shown: true };
+      });
+    
+    for (const person of people) {
+      usage[person.id] = (usage[person.id] || 0) + 1;
     }
+    moves.push({ movie: chain[i], people, resolved: resolved?.length > 0 });
   }
   
-  return used;
+  return { usage, moves };
 }
 
 /**
- * Get all movies that have been played and count them
+ * Ask the background who each new move on the board burned
+ *
+ * Pairs whose lookup failed are asked for again with backoff; until then
+ * their moves fall back to the names shown on the board.
  */
-function getPlayedMovies() {
-  const played = new Set();
-  const movieBoxes = document.querySelectorAll('.battle-board-movie');
-  let count = 0;
+async function requestBoardLinks() {
+  if (boardLinksPending) return;
   
-  for (const box of movieBoxes) {
-    if (box.classList.contains('battle-board-game-over')) continue;
-    
-    let fullText = box.textContent;
-    let childText = '';
-    for (const child of box.children) {
-      childText += child.textContent;
-    }
-    const movieText = fullText.substring(childText.length).trim();
+  const chain = getBoardChain();
+  const boardMovie = entry => ({
+    title: entry.title,
+    year: entry.year,
+    localId: entry.localId,
+    id: knownMovieInfo[entry.localId.toLowerCase()]?.id ?? null
+  });
+  const pairs = [];
+  for (let i = 1; i < chain.length; i++) {
+    const key = linkPairKey(chain[i - 1], chain[i]);
+    if (key in boardLinks || boardLinkRetries[key]?.at > Date.now()) continue;
+    pairs.push({ key, from: boardMovie(chain[i - 1]), to: boardMovie(chain[i]) });
+  }
+  if (pairs.length === 0) return;
+  
+  boardLinksPending = true;
+  const rolesUsed = activeRules.roles;
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'resolveBoardLinks', pairs, rules: activeRules });
+    if (!response.success) throw new Error(response.error);
     
-    if (movieText) {
-      played.add(movieText.toLowerCase());
-      count++;
+    // Links found under other roles would miscount; they're asked for again below
+    if (rolesUsed === activeRules.roles) {
+      for (const pair of pairs) {
+        if (pair.key in response.links) {
+          boardLinks[pair.key] = response.links[pair.key];
+          delete boardLinkRetries[pair.key];
+        } else {
+          scheduleLinkRetry(pair.key);
+        }
+      }
     }
+  } catch (e) {
+    console.error('[Helper] Failed to resolve board links:', e);
+    for (const pair of pairs) scheduleLinkRetry(pair.key);
+  } finally {
+    boardLinksPending = false;
   }
   
-  return { played, count };
+  updateOptionsDisplay();
+  
+  // Moves that landed while this request was out
+  requestBoardLinks();
 }
 
 /**
- * Check if it's currently the player's turn
+ * Put off asking for a pair's links again, longer after each failure
  */
-function isPlayerTurn() {
-  return document.querySelector('.battle-input') !== null;
+function scheduleLinkRetry(key) {
+  const attempts = (boardLinkRetries[key]?.attempts || 0) + 1;
+  const delay = Math.min(LINK_RETRY_MS * 2 ** (attempts - 1), MAX_LINK_RETRY_MS);
+  boardLinkRetries[key] = { attempts, at: Date.now() + delay };
+  setTimeout(requestBoardLinks, delay);
 }
 
 /**
- * Check if the game is over
+ * Get both players' win conditions (Battle 2.0)
  */
-function isGameOver() {
-  return document.querySelector('.battle-over') !== null ||
-         document.querySelector('.battle-board-game-over') !== null;
+function getWinConditions() {
+  const texts = getWinConditionTexts();
+  return {
+    mine: texts.mine.map(parseWinCondition),
+    opponent: texts.opponent.map(parseWinCondition)
+  };
 }
 
 /**
- * Check if a movie matches the priority filters
+ * Pick the rules profile for the battle on the page
+ *
+ * A profile whose roles differ from the loaded movie's needs a fresh load, so
+ * the current movie is dropped and fetched again by the rest of update().
  */
-function matchesPriorityFilter(movie) {
-  if (priorityFilters.genres.length === 0 && !priorityFilters.decade) {
-    return false; // No filter active
-  }
+function updateActiveRules() {
+  if (!rulesSettings) return;
   
-  // Check all genre filters (must match ALL selected)
-  for (const genreName of priorityFilters.genres) {
-    const genreId = GENRE_IDS[genreName];
-    if (!movie.genres.includes(genreId)) {
-      return false;
-    }
-  }
+  const detectedId = detectRulesProfile(getBattleModeText(), rulesSettings);
+  const profile = getRulesProfile(rulesSettings, detectedId);
+  if (profile === activeRules && Boolean(detectedId) === rulesDetected) return;
   
-  // Check decade filter
-  if (priorityFilters.decade) {
-    const movieDecade = Math.floor(movie.year / 10) * 10;
-    if (movieDecade !== priorityFilters.decade) {
-      return false;
-    }
+  const rolesChanged = rolesSignature(profile.roles) !== rolesSignature(activeRules.roles);
+  activeRules = profile;
+  rulesDetected = Boolean(detectedId);
+  updateRulesDisplay();
+  
+  if (rolesChanged) {
+    boardLinks = {};
+    boardLinkRetries = {};
+    requestBoardLinks();
+  }
+  if (rolesChanged && movieData) {
+    cancelMovieLoad();
+    currentMovieId = null;
+  }
+  updateOptionsDisplay();
+}
+
+/**
+ * Load the stored rules profiles
+ */
+async function loadRulesSettings() {
+  try {
+    rulesSettings = await loadRulesProfiles();
+    updateActiveRules();
+  } catch (e) {
+    console.error('[Helper] Failed to load rules profiles:', e);
   }
+}
+
+/**
+ * Show which rules the helper is applying
+ */
+function updateRulesDisplay() {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
   
-  return true;
+  const display = helper.querySelector('.cine-helper-rules');
+  display.textContent = `Rules: ${activeRules.name} (${rulesDetected ? 'detected' : 'default'}) · ${activeRules.linkCap} uses per link`;
+  display.title = `Setup: first ${activeRules.setupMovies} movies, ${ELIGIBILITY_POOLS[activeRules.eligibilityPool]}\nCounted: ${activeRules.roles.join(', ')}`;
+  helper.querySelector('.cine-helper-phase-indicator').textContent = `⚡ SETUP PHASE — ${ELIGIBILITY_POOLS[activeRules.eligibilityPool]}`;
 }
 
 /**
  * Generate ranked connection options
  */
 function generateOptions() {
-  if (!movieData || !movieData.filmographies) return [];
-  
-  const options = [];
-  const currentYear = new Date().getFullYear();
   const { played, count } = getPlayedMovies();
-  const usedLinks = getUsedConnections();
   
-  // Setup phase is first 3 turns (≤3 movies on board including starter)
-  isSetupPhase = count <= 3;
+  isSetupPhase = isSetupCount(count, activeRules);
   
   // Update our link tracking
-  linkUsage = usedLinks;
+  ({ usage: linkUsage, moves: linkMoves } = getUsedConnections());
+  recordMatchLinks(linkMoves);
   
-  for (const person of movieData.people) {
-    const filmography = movieData.filmographies[person.id];
-    if (!filmography) continue;
-    
-    const personNameLower = person.name.toLowerCase();
-    const timesUsed = linkUsage[personNameLower] || 0;
-    
-    // Skip if used 3 times
-    if (timesUsed >= 3) continue;
-    
-    for (const credit of filmography.credits) {
-      // Skip if already played
-      const creditKey = `${credit.title} (${credit.year})`.toLowerCase();
-      if (played.has(creditKey)) continue;
-      
-      // Skip unreleased movies
-      if (credit.year >= currentYear) continue;
-      
-      // Skip the current movie
-      if (credit.id === movieData.id) continue;
-      
-      // During setup phase, only show Top 5000 (high popularity)
-      const isTop5000 = credit.popularity >= TOP_5000_POPULARITY_THRESHOLD;
-      if (isSetupPhase && !isTop5000) continue;
-      
-      const isPriority = matchesPriorityFilter(credit);
-      
-      options.push({
-        movie: {
-          id: credit.id,
-          title: credit.title,
-          year: credit.year,
-          genres: credit.genres,
-          popularity: credit.popularity
-        },
-        via: {
-          id: person.id,
-          name: person.name,
-          creditCount: filmography.creditCount,
-          timesUsed: timesUsed
-        },
-        isPriority: isPriority,
-        isTop5000: isTop5000,
-        // Score: prioritize by filmography depth (more connections = more valuable)
-        score: filmography.creditCount
-      });
-    }
-  }
-  
-  // Sort: priority matches first, then by score (filmography depth)
-  options.sort((a, b) => {
-    if (a.isPriority && !b.isPriority) return -1;
-    if (!a.isPriority && b.isPriority) return 1;
-    return b.score - a.score;
+  return rankOptions(movieData, {
+    played,
+    count,
+    usage: linkUsage,
+    filters: priorityFilters,
+    weights: getScoringWeights(scoringSettings),
+    eligibility,
+    rules: activeRules,
+    metadata: movieMetadata
   });
-  
-  // Dedupe movies (keep highest scoring connection for each)
-  const seen = new Set();
-  const deduped = [];
-  for (const opt of options) {
-    if (!seen.has(opt.movie.id)) {
-      seen.add(opt.movie.id);
-      deduped.push(opt);
-    }
-  }
-  
-  return deduped;
-}
-
-/**
- * Format genres for display
- */
-function formatGenres(genreIds) {
-  return genreIds
-    .map(id => GENRES[id])
-    .filter(Boolean)
-    .slice(0, 3)
-    .join(', ');
 }
 
 /**
@@ -282,6 +290,7 @@ function createHelperUI() {
       <div class="cine-helper-phase-indicator" style="display: none;">
         ⚡ SETUP PHASE — Top 5000 films only
       </div>
+      <div class="cine-helper-win-conditions" style="display: none;"></div>
       <div class="cine-helper-filters">
         <div class="cine-helper-filter-label">Priority Filter:</div>
         <div class="cine-helper-genres">
@@ -307,9 +316,51 @@ function createHelperUI() {
           </label>
           <button class="cine-helper-clear">Clear Filters</button>
         </div>
+        <input type="text" class="cine-helper-expression" placeholder='Expression, e.g. (horror OR thriller) NOT year:<1980' title="AND/OR/NOT, ( ), genre, 80s, year:1980-1999, lang:ja, country:KR, runtime:<90, keyword:&quot;based on novel&quot;">
+        <div class="cine-helper-expression-error" style="display: none;"></div>
+        <div class="cine-helper-preset-row">
+          <select class="cine-helper-preset"></select>
+          <button class="cine-helper-preset-save" title="Save the current filters as a preset">Save</button>
+          <button class="cine-helper-preset-delete" title="Delete this preset">✕</button>
+        </div>
         <div class="cine-helper-active-filter"></div>
       </div>
+      <div class="cine-helper-sort-row">
+        <label>Strategy: 
+          <select class="cine-helper-sort">
+            ${Object.entries(SCORING_PRESETS).map(([id, preset]) => `
+              <option value="${id}" title="${preset.description}">${preset.name}</option>
+            `).join('')}
+            <option value="custom" title="Weights set in the extension popup">Custom</option>
+          </select>
+        </label>
+        <label>Lookahead: 
+          <select class="cine-helper-lookahead">
+            <option value="0">Off</option>
+            <option value="2">2 moves</option>
+            <option value="3">3 moves</option>
+          </select>
+        </label>
+      </div>
+      <div class="cine-helper-rules"></div>
+      <details class="cine-helper-links">
+        <summary>🔗 Links used</summary>
+        <div class="cine-helper-links-list"></div>
+      </details>
+      <details class="cine-helper-people">
+        <summary>👥 People on this movie</summary>
+        <div class="cine-helper-people-list"></div>
+      </details>
+      <details class="cine-helper-graph">
+        <summary>🕸️ Battle graph <button class="cine-helper-graph-expand" title="Bigger view for reviewing a position">⤢</button></summary>
+        <div class="cine-helper-graph-view"></div>
+        <div class="cine-helper-graph-burn"></div>
+      </details>
       <div class="cine-helper-status">Waiting for game...</div>
+      <button class="cine-helper-review" style="display: none;" title="Replay the game turn by turn against the helper's picks">📋 Review this game</button>
+      <div class="cine-helper-progress" style="display: none;"><div class="cine-helper-progress-bar"></div></div>
+      <div class="cine-helper-match" style="display: none;"></div>
+      <div class="cine-helper-person" style="display: none;"></div>
       <div class="cine-helper-options"></div>
     </div>
   `;
@@ -335,37 +386,292 @@ function createHelperUI() {
   
   helper.querySelector('.cine-helper-decade').addEventListener('change', updateFilters);
   helper.querySelector('.cine-helper-clear').addEventListener('click', clearFilters);
+  helper.querySelector('.cine-helper-expression').addEventListener('change', updateFilters);
+  helper.querySelector('.cine-helper-preset').addEventListener('change', applyFilterPreset);
+  helper.querySelector('.cine-helper-preset-save').addEventListener('click', saveFilterPreset);
+  helper.querySelector('.cine-helper-preset-delete').addEventListener('click', deleteFilterPreset);
+  helper.querySelector('.cine-helper-sort').addEventListener('change', updateStrategy);
+  helper.querySelector('.cine-helper-lookahead').addEventListener('change', updateLookaheadDepth);
+  helper.querySelector('.cine-helper-match').addEventListener('click', handleMatchClick);
+  helper.querySelector('.cine-helper-people').addEventListener('toggle', updatePeopleList);
+  helper.querySelector('.cine-helper-people-list').addEventListener('click', handlePersonClick);
+  helper.querySelector('.cine-helper-options').addEventListener('click', handlePersonClick);
+  helper.querySelector('.cine-helper-review').addEventListener('click', openReview);
+  helper.querySelector('.cine-helper-graph').addEventListener('toggle', () => updateGraphDisplay());
+  helper.querySelector('.cine-helper-graph-expand').addEventListener('click', toggleGraphExpanded);
+  helper.querySelector('.cine-helper-graph-view').addEventListener('mouseover', showCandidateBurn);
+  helper.querySelector('.cine-helper-graph-view').addEventListener('mouseleave', () => showCandidateBurn(null));
+  helper.querySelector('.cine-helper-person').addEventListener('click', event => {
+    if (event.target.closest('.cine-helper-person-close')) closePersonPanel();
+  });
   
   loadSavedFilters();
+  loadSavedStrategy();
+  loadEligibilityData();
+  updateRulesDisplay();
 }
 
 /**
- * Load saved filters from storage
+ * Load the Top 5000 list and what we've learned so far
  */
-async function loadSavedFilters() {
+async function loadEligibilityData() {
   try {
-    const result = await chrome.storage.local.get(['priorityFilters']);
-    if (result.priorityFilters) {
-      priorityFilters = result.priorityFilters;
-      
-      // Update UI
-      const helper = document.getElementById('cine-helper');
-      if (helper) {
-        for (const genre of priorityFilters.genres) {
-          const checkbox = helper.querySelector(`[data-genre="${genre}"]`);
-          if (checkbox) checkbox.checked = true;
-        }
-        if (priorityFilters.decade) {
-          helper.querySelector('.cine-helper-decade').value = priorityFilters.decade;
-        }
-        updateActiveFilterDisplay();
+    eligibility = await loadEligibility();
+    updateOptionsDisplay();
+  } catch (e) {
+    console.error('[Helper] Failed to load eligibility:', e);
+  }
+}
+
+/**
+ * Remember answers submitted during setup, so a rejection can be learned
+ */
+function watchGuesses(event) {
+  if (event.key !== 'Enter' || !isBattleInput(event.target)) return;
+  
+  const { count } = getPlayedMovies();
+  if (!needsEligibility(count, activeRules) || !event.target.value) return;
+  
+  pendingGuess = { text: event.target.value, count, at: Date.now() };
+  
+  // A rejected answer changes nothing on the board, so check back by the clock
+  setTimeout(update, GUESS_REJECTED_AFTER_MS + 100);
+}
+
+/**
+ * Learn from an answer the game didn't accept
+ *
+ * Accepted answers are learned by the match recorder when they reach the
+ * board. A connection we know is otherwise legal that the game explicitly
+ * turns away as outside the Top 5000 is learned as not eligible. One that's
+ * just still missing after a moment may have been slow or refused for some
+ * other reason, so it only counts as a soft vote against the film.
+ */
+function checkPendingGuess() {
+  if (!pendingGuess || !movieData) return;
+  
+  const { played, count } = getPlayedMovies();
+  if (count !== pendingGuess.count) {
+    pendingGuess = null;
+    return;
+  }
+  const rejection = getEligibilityRejection();
+  if (!rejection && Date.now() - pendingGuess.at < GUESS_REJECTED_AFTER_MS) return;
+  
+  const movie = findConnectedMovie(movieData, pendingGuess.text);
+  pendingGuess = null;
+  if (!movie) return;
+  
+  // Judge it as if setup were over, so eligibility is the only thing not checked
+  const check = checkMove(movieData, movie, { played, count: activeRules.setupMovies + 1, usage: linkUsage, rules: activeRules });
+  if (check.legal) {
+    (rejection ? learnEligibility(movie, false) : voteIneligible(movie))
+      .catch(e => console.error('[Helper] Failed to save eligibility:', e));
+  }
+}
+
+/**
+ * Load the saved scoring strategy and lookahead depth from storage
+ */
+async function loadSavedStrategy() {
+  try {
+    scoringSettings = await loadScoringSettings();
+    const result = await chrome.storage.local.get(['lookaheadDepth']);
+    if (result.lookaheadDepth) {
+      lookaheadDepth = result.lookaheadDepth;
+    }
+    
+    const helper = document.getElementById('cine-helper');
+    if (helper) {
+      const select = helper.querySelector('.cine-helper-sort');
+      select.value = scoringSettings.preset;
+      // Custom weights are set up in the popup
+      select.querySelector('option[value="custom"]').disabled = !scoringSettings.customWeights;
+      helper.querySelector('.cine-helper-lookahead').value = lookaheadDepth;
+    }
+    
+    updateOptionsDisplay();
+    requestLookahead();
+  } catch (e) {
+    console.error('[Helper] Failed to load scoring strategy:', e);
+  }
+}
+
+/**
+ * Update the scoring strategy from UI
+ */
+function updateStrategy() {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  scoringSettings = { ...scoringSettings, preset: helper.querySelector('.cine-helper-sort').value };
+  saveScoringSettings({ preset: scoringSettings.preset })
+    .catch(e => console.error('[Helper] Failed to save scoring strategy:', e));
+  
+  updateOptionsDisplay();
+  requestLookahead();
+}
+
+/**
+ * Update lookahead depth from UI
+ */
+function updateLookaheadDepth() {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  lookaheadDepth = parseInt(helper.querySelector('.cine-helper-lookahead').value);
+  chrome.storage.local.set({ lookaheadDepth });
+  
+  requestLookahead();
+}
+
+/**
+ * Ask the background to search the top options a few moves deep
+ *
+ * Results arrive asynchronously and are shown under each option; a newer
+ * search (new movie, new strategy, new depth) discards older results.
+ */
+async function requestLookahead() {
+  const token = ++lookaheadToken;
+  lookaheadResults = {};
+  
+  if (!lookaheadDepth || !movieData) {
+    updateOptionsDisplay();
+    return;
+  }
+  
+  const { played, count } = getPlayedMovies();
+  const candidates = generateOptions().slice(0, LOOKAHEAD_CANDIDATES);
+  
+  for (const opt of candidates) {
+    lookaheadResults[opt.movie.id] = { outcome: 'pending', explanation: 'Searching...' };
+  }
+  updateOptionsDisplay();
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'runLookahead',
+      request: {
+        movie: { id: movieData.id, title: movieData.title, year: movieData.year },
+        candidates: candidates.map(opt => ({ ...opt.movie, via: opt.sharedWith })),
+        played: Array.from(played),
+        usage: linkUsage,
+        boardCount: count,
+        depth: lookaheadDepth,
+        timeBudgetMs: LOOKAHEAD_TIME_BUDGET_MS,
+        rules: activeRules
+      }
+    });
+    
+    if (token !== lookaheadToken) return;
+    
+    if (!response.success) {
+      console.error('[Helper] Lookahead failed:', response.error);
+      lookaheadResults = {};
+    } else {
+      for (const opt of candidates) {
+        lookaheadResults[opt.movie.id] = response.results[opt.movie.id] ||
+          { outcome: 'unknown', explanation: 'Not searched (time budget)' };
       }
     }
+  } catch (err) {
+    if (token !== lookaheadToken) return;
+    console.error('[Helper] Lookahead failed:', err);
+    lookaheadResults = {};
+  }
+  
+  updateOptionsDisplay();
+}
+
+/**
+ * Load saved filters and presets from storage
+ */
+async function loadSavedFilters() {
+  try {
+    const result = await chrome.storage.local.get(['priorityFilters', 'filterPresets']);
+    priorityFilters = { genres: [], decade: null, expression: '', ...result.priorityFilters };
+    filterPresets = result.filterPresets || {};
+    filtersFromWinCondition = false;
+    showFilters();
+    updateOptionsDisplay();
   } catch (e) {
     console.error('[Helper] Failed to load filters:', e);
   }
 }
 
+/**
+ * Set the filter controls to match priorityFilters
+ */
+function showFilters() {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  helper.querySelectorAll('[data-genre]').forEach(cb => {
+    cb.checked = priorityFilters.genres.includes(cb.dataset.genre);
+  });
+  helper.querySelector('.cine-helper-decade').value = priorityFilters.decade || '';
+  helper.querySelector('.cine-helper-expression').value = priorityFilters.expression || '';
+  helper.querySelector('.cine-helper-expression-error').style.display = 'none';
+  showFilterPresets();
+  updateActiveFilterDisplay();
+}
+
+/**
+ * List the saved presets, selecting the one the filters match
+ */
+function showFilterPresets() {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  const select = helper.querySelector('.cine-helper-preset');
+  const current = JSON.stringify(priorityFilters);
+  const names = Object.keys(filterPresets).sort();
+  
+  select.innerHTML = `<option value="">${names.length > 0 ? 'Presets...' : 'No saved presets'}</option>` +
+    names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+  select.value = names.find(name => JSON.stringify(filterPresets[name]) === current) || '';
+  helper.querySelector('.cine-helper-preset-delete').disabled = !select.value;
+}
+
+/**
+ * Switch to the preset picked in the sidebar
+ */
+function applyFilterPreset() {
+  const helper = document.getElementById('cine-helper');
+  const name = helper?.querySelector('.cine-helper-preset').value;
+  if (!name || !filterPresets[name]) return;
+  
+  priorityFilters = { ...filterPresets[name] };
+  filtersFromWinCondition = false;
+  chrome.storage.local.set({ priorityFilters });
+  
+  showFilters();
+  updateOptionsDisplay();
+}
+
+/**
+ * Save the current filters under a name
+ */
+function saveFilterPreset() {
+  const selected = document.querySelector('#cine-helper .cine-helper-preset')?.value || '';
+  const name = prompt('Save these filters as:', selected)?.trim();
+  if (!name) return;
+  
+  filterPresets = { ...filterPresets, [name]: { ...priorityFilters } };
+  chrome.storage.local.set({ filterPresets });
+  showFilterPresets();
+}
+
+function deleteFilterPreset() {
+  const name = document.querySelector('#cine-helper .cine-helper-preset')?.value;
+  if (!name || !confirm(`Delete the "${name}" preset?`)) return;
+  
+  filterPresets = { ...filterPresets };
+  delete filterPresets[name];
+  chrome.storage.local.set({ filterPresets });
+  showFilterPresets();
+}
+
 /**
  * Update filters from UI
  */
@@ -381,11 +687,26 @@ function updateFilters() {
   const decadeSelect = helper.querySelector('.cine-helper-decade');
   const decade = decadeSelect.value ? parseInt(decadeSelect.value) : null;
   
-  priorityFilters = { genres, decade };
+  // A bad expression is reported and the last good one kept
+  const expression = helper.querySelector('.cine-helper-expression').value.trim();
+  const errorDiv = helper.querySelector('.cine-helper-expression-error');
+  let keptExpression = expression;
+  try {
+    if (expression) parseFilterExpression(expression);
+    errorDiv.style.display = 'none';
+  } catch (e) {
+    errorDiv.textContent = e.message;
+    errorDiv.style.display = 'block';
+    keptExpression = priorityFilters.expression || '';
+  }
+  
+  priorityFilters = { genres, decade, expression: keptExpression };
+  filtersFromWinCondition = false;
   
   // Save to storage
   chrome.storage.local.set({ priorityFilters });
   
+  showFilterPresets();
   updateActiveFilterDisplay();
   updateOptionsDisplay();
 }
@@ -397,13 +718,11 @@ function clearFilters() {
   const helper = document.getElementById('cine-helper');
   if (!helper) return;
   
-  helper.querySelectorAll('[data-genre]').forEach(cb => cb.checked = false);
-  helper.querySelector('.cine-helper-decade').value = '';
-  
-  priorityFilters = { genres: [], decade: null };
+  priorityFilters = { genres: [], decade: null, expression: '' };
+  filtersFromWinCondition = false;
   chrome.storage.local.set({ priorityFilters });
   
-  updateActiveFilterDisplay();
+  showFilters();
   updateOptionsDisplay();
 }
 
@@ -423,15 +742,100 @@ function updateActiveFilterDisplay() {
   if (priorityFilters.decade) {
     parts.push(`${priorityFilters.decade}s`);
   }
+  if (priorityFilters.expression) {
+    parts.push(priorityFilters.expression);
+  }
   
   if (parts.length > 0) {
-    display.textContent = `Active: ${parts.join(' • ')}`;
+    display.textContent = `Active: ${parts.join(' • ')}${filtersFromWinCondition ? ' (win condition)' : ''}`;
     display.style.display = 'block';
   } else {
     display.style.display = 'none';
   }
 }
 
+/**
+ * Follow the win conditions on the page: counters for both players, and my
+ * first unfinished condition as the priority filter
+ *
+ * A condition is only applied when it changes, so filters picked by hand stay
+ * until the next condition comes up.
+ */
+function updateWinConditions() {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  winConditions = getWinConditions();
+  const moves = getMatchMoves();
+  const lines = [];
+  let target = null;
+  
+  for (const [side, mine] of [['mine', true], ['opponent', false]]) {
+    for (const condition of winConditions[side]) {
+      const who = mine ? 'You' : 'Opponent';
+      if (!isTrackedCondition(condition)) {
+        lines.push(`<div class="cine-helper-win-condition">${who}: ${escapeHtml(condition.text)}</div>`);
+        continue;
+      }
+      
+      const progress = winConditionProgress(condition, moves, mine);
+      const label = describeWinCondition(condition);
+      const unknown = progress.unknown > 0 ? ` (${progress.unknown} not yet known)` : '';
+      const state = progress.complete ? 'complete' : !mine && progress.oneAway ? 'danger' : '';
+      lines.push(`
+        <div class="cine-helper-win-condition ${state}" title="${escapeHtml(condition.text)}">
+          ${progress.complete ? '✅' : '🏁'} ${who}: ${progress.count}/${progress.target} ${escapeHtml(label)} films played${unknown}
+        </div>
+      `);
+      if (!mine && !progress.complete && progress.oneAway) {
+        lines.push(`<div class="cine-helper-win-condition-warning">⚠️ Opponent is one ${escapeHtml(label)} film from completing their win condition</div>`);
+      }
+      if (mine && !progress.complete && !target) target = condition;
+    }
+  }
+  
+  const container = helper.querySelector('.cine-helper-win-conditions');
+  const html = lines.join('');
+  if (container.dataset.html !== html) {
+    container.dataset.html = html;
+    container.innerHTML = html;
+    container.style.display = html ? 'block' : 'none';
+  }
+  
+  if (target && target.text !== winConditionFilterKey) {
+    winConditionFilterKey = target.text;
+    priorityFilters = winConditionFilters(target);
+    filtersFromWinCondition = true;
+    showFilters();
+    updateOptionsDisplay();
+  }
+}
+
+/**
+ * Forget the last game's win conditions, putting back the saved filters
+ */
+function resetWinConditions() {
+  winConditions = { mine: [], opponent: [] };
+  winConditionFilterKey = null;
+  
+  const container = document.querySelector('#cine-helper .cine-helper-win-conditions');
+  if (container) {
+    container.dataset.html = '';
+    container.innerHTML = '';
+    container.style.display = 'none';
+  }
+  if (filtersFromWinCondition) loadSavedFilters();
+}
+
+/**
+ * Escape page text for sidebar HTML (attributes included)
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 /**
  * Update the status display
  */
@@ -454,6 +858,11 @@ function updateOptionsDisplay() {
   const container = helper.querySelector('.cine-helper-options');
   const phaseIndicator = helper.querySelector('.cine-helper-phase-indicator');
   const options = generateOptions();
+  recordOfferedOptions(options);
+  requestFilterMetadata(options);
+  updateLinksDisplay();
+  updateGraphDisplay(options);
+  renderPersonPanel();
   
   // Show/hide setup phase indicator
   if (phaseIndicator) {
@@ -469,10 +878,18 @@ function updateOptionsDisplay() {
   const priority = options.filter(o => o.isPriority);
   const other = options.filter(o => !o.isPriority);
   
+  const pending = options.filter(o => o.filterPending);
+  const checking = pending.filter(o => metadataRequested.has(o.movie.id) && !metadataFailed.has(o.movie.id)).length;
+  
   let html = '';
   
-  if (priority.length > 0) {
-    html += `<div class="cine-helper-section-header">🎯 Priority Matches (${priority.length})</div>`;
+  if (priority.length > 0 || pending.length > 0) {
+    const note = checking > 0
+      ? ` <span class="cine-helper-section-note">checking ${checking} more films</span>`
+      : pending.length > 0
+        ? ` <span class="cine-helper-section-note" title="Only the best-ranked ${MAX_METADATA_PER_MOVIE} options of each movie are checked">${pending.length} films unchecked</span>`
+        : '';
+    html += `<div class="cine-helper-section-header">🎯 Priority Matches (${priority.length})${note}</div>`;
     html += priority.slice(0, 20).map(opt => renderOption(opt, true)).join('');
   }
   
@@ -484,61 +901,668 @@ function updateOptionsDisplay() {
   container.innerHTML = html;
 }
 
+/**
+ * Fetch metadata for options the filter expression can't judge yet
+ *
+ * Best-ranked options go first, a batch at a time; each batch re-ranks the
+ * options, which asks for the next, until MAX_METADATA_PER_MOVIE films of
+ * the board movie have been asked for. Films TMDB can't describe stay
+ * unknown; a batch that fails outright is asked for again after a pause.
+ */
+function requestFilterMetadata(options) {
+  if (!movieData) return;
+  if (metadataBudget.movieId !== movieData.id) {
+    metadataBudget = { movieId: movieData.id, used: 0 };
+  }
+  if (Date.now() < metadataRetryAt) return;
+  
+  const ids = options
+    .filter(opt => opt.filterPending && !metadataRequested.has(opt.movie.id))
+    .slice(0, Math.min(METADATA_BATCH_SIZE, MAX_METADATA_PER_MOVIE - metadataBudget.used))
+    .map(opt => opt.movie.id);
+  if (ids.length === 0) return;
+  
+  const budget = metadataBudget;
+  budget.used += ids.length;
+  ids.forEach(id => metadataRequested.add(id));
+  chrome.runtime.sendMessage({ type: 'getMovieMetadata', ids })
+    .then(response => {
+      if (!response.success) throw new Error(response.error);
+      Object.assign(movieMetadata, response.metadata);
+      ids.filter(id => !(id in response.metadata)).forEach(id => metadataFailed.add(id));
+      updateOptionsDisplay();
+    })
+    .catch(e => {
+      console.error('[Helper] Failed to load film metadata:', e);
+      ids.forEach(id => metadataRequested.delete(id));
+      budget.used -= ids.length;
+      metadataRetryAt = Date.now() + LOAD_RETRY_MS;
+      setTimeout(updateOptionsDisplay, LOAD_RETRY_MS);
+    });
+}
+
+/**
+ * Show every move's links, newest first, with each person's uses
+ *
+ * Links the board folds into "more links" are listed too, in italics.
+ */
+function updateLinksDisplay() {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  const linkCap = activeRules.linkCap;
+  const summary = helper.querySelector('.cine-helper-links summary');
+  const list = helper.querySelector('.cine-helper-links-list');
+  const people = new Set(linkMoves.flatMap(move => move.people.map(person => person.id)));
+  
+  const html = linkMoves.slice().reverse().map(move => {
+    const names = move.people.map(person => {
+      const uses = linkUsage[person.id] || 0;
+      const state = uses >= linkCap ? 'spent' : uses === linkCap - 1 ? 'warn' : '';
+      const title = person.shown ? '' : ' title="Folded into &quot;more links&quot; on the board"';
+      return `<span class="cine-helper-link ${state} ${person.shown ? '' : 'hidden'}"${title}>${escapeHtml(person.name)} ${uses}/${linkCap}</span>`;
+    }).join(', ');
+    const pending = move.resolved ? '' : ' <span class="cine-helper-link-pending" title="Matched by name until the credits are checked">?</span>';
+    return `<div class="cine-helper-link-move"><strong>${escapeHtml(move.movie.localId)}</strong>${pending}: ${names}</div>`;
+  }).join('');
+  
+  summary.textContent = `🔗 Links used (${people.size})`;
+  if (list.dataset.html !== html) {
+    list.dataset.html = html;
+    list.innerHTML = html || '<div class="cine-helper-empty">No links used yet</div>';
+  }
+}
+
+/**
+ * Draw the battle graph: the chain so far and the top candidates
+ *
+ * Skipped while the graph is closed; options are generated when not passed.
+ */
+function updateGraphDisplay(options = null) {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  const details = helper.querySelector('.cine-helper-graph');
+  if (!details.open) return;
+  
+  const view = helper.querySelector('.cine-helper-graph-view');
+  const chain = getBoardChain();
+  if (chain.length === 0) {
+    graphCandidates = [];
+    view.innerHTML = '<div class="cine-helper-empty">No battle on the board</div>';
+    showCandidateBurn(null);
+    return;
+  }
+  
+  graphCandidates = (options || generateOptions()).slice(0, graphExpanded ? GRAPH_CANDIDATES_EXPANDED : GRAPH_CANDIDATES);
+  const layout = layoutChainGraph(chain, linkMoves, graphCandidates, graphExpanded ? GRAPH_WIDTH_EXPANDED : GRAPH_WIDTH);
+  const html = renderChainGraph(layout, { usage: linkUsage, linkCap: activeRules.linkCap });
+  if (view.dataset.html !== html) {
+    view.dataset.html = html;
+    view.innerHTML = html;
+    showCandidateBurn(null);
+  }
+}
+
+function toggleGraphExpanded(event) {
+  // The button sits in the summary, so keep it from toggling the details
+  event.preventDefault();
+  
+  const details = event.target.closest('.cine-helper-graph');
+  graphExpanded = !graphExpanded;
+  details.classList.toggle('expanded', graphExpanded);
+  details.open = true;
+  updateGraphDisplay();
+}
+
+/**
+ * Show who the hovered candidate would burn, or a hint when none is hovered
+ */
+function showCandidateBurn(event) {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  const burn = helper.querySelector('.cine-helper-graph-burn');
+  const target = event?.target.closest?.('[data-candidate]');
+  const option = target ? graphCandidates[parseInt(target.dataset.candidate)] : null;
+  
+  if (!option) {
+    burn.innerHTML = graphCandidates.length > 0 ? 'Hover a candidate to see who it burns' : '';
+    return;
+  }
+  
+  const linkCap = activeRules.linkCap;
+  const people = describeCandidateBurn(option, linkCap).map(person =>
+    `<span class="cine-helper-link ${person.spent ? 'spent' : person.after === linkCap - 1 ? 'warn' : ''}">` +
+    `${escapeHtml(person.name)} ${person.before}→${person.after}/${linkCap}</span>`
+  ).join(', ');
+  burn.innerHTML = `<strong>${escapeHtml(option.movie.title)}</strong> burns ${people || 'no known links'}`;
+}
+
+/**
+ * Open the post-game review for the game that just finished
+ */
+async function openReview() {
+  try {
+    const response = await chrome.runtime.sendMessage({ type: 'openReview', matchId: lastFinishedMatchId });
+    if (!response.success) throw new Error(response.error);
+  } catch (e) {
+    console.error('[Helper] Failed to open review:', e);
+    updateStatus(`Couldn't open the review: ${e.message}`, true);
+  }
+}
+
 /**
  * Render a single option
  */
 function renderOption(opt, isPriority) {
-  const linkWarning = opt.via.timesUsed === 2 ? ' ⚠️ 2/3' : '';
+  const linkCap = activeRules.linkCap;
+  const linkWarning = opt.via.timesUsed === linkCap - 1 ? ` ⚠️ ${opt.via.timesUsed}/${linkCap}` : '';
   const genres = formatGenres(opt.movie.genres);
-  const popScore = opt.movie.popularity.toFixed(1);
+  const linkRole = describeLinkRole(opt.via);
+  const eligibilityPct = Math.round(opt.eligibility.probability * 100);
+  const eligibilityClass = opt.eligibility.probability >= 0.75 ? 'likely' : opt.eligibility.probability < 0.5 ? 'unlikely' : '';
+  const replyLabel = opt.opponentReplies === 1 ? 'reply' : 'replies';
+  const trapBadge = opt.isTrap
+    ? `<span class="cine-helper-option-trap" title="Known opponent replies after this move">🪤 ${opt.opponentReplies} ${replyLabel}</span>`
+    : '';
+  const lookahead = lookaheadResults[opt.movie.id];
+  // Outcomes are from the opponent's side: their loss is our forced win
+  const lookaheadClass = { loss: 'good', win: 'bad' }[lookahead?.outcome] || '';
+  const lookaheadLine = lookahead
+    ? `<div class="cine-helper-option-lookahead ${lookaheadClass}">🔮 ${lookahead.explanation}</div>`
+    : '';
   
   return `
     <div class="cine-helper-option ${isPriority ? 'priority' : ''}">
       <div class="cine-helper-option-movie">
-        ${opt.movie.title} (${opt.movie.year})
+        ${escapeHtml(opt.movie.title)} (${opt.movie.year})${trapBadge}
+        <span class="cine-helper-option-score" title="${escapeHtml(describeScoreBreakdown(opt))}">${Math.round(opt.score)}</span>
       </div>
       <div class="cine-helper-option-via">
-        via <strong>${opt.via.name}</strong> (${opt.via.creditCount} credits)${linkWarning}
+        via <strong class="cine-helper-person-link" data-person-id="${escapeHtml(String(opt.via.id))}" title="Explore ${escapeHtml(opt.via.name)}'s films">${escapeHtml(opt.via.name)}</strong>${linkRole ? ` <span class="cine-helper-option-role">${escapeHtml(linkRole)}</span>` : ''} (${opt.via.creditCount} credits)${linkWarning}
       </div>
+      ${renderSharedLinks(opt)}
       <div class="cine-helper-option-meta">
         <span class="cine-helper-option-genres">${genres}</span>
-        <span class="cine-helper-option-pop" title="TMDB Popularity">📊 ${popScore}</span>
+        <span class="cine-helper-option-eligibility ${eligibilityClass}" title="Top 5000 likelihood: ${opt.eligibility.detail}">🎟️ ${eligibilityPct}%</span>
       </div>
+      ${lookaheadLine}
     </div>
   `;
 }
 
 /**
- * Request movie data from background script
+ * Every person an option shares with the current movie, with their uses
+ *
+ * Playing the option burns a use of each of them, not just the "via" link,
+ * so this is the line to check before spending someone's last use.
  */
-async function requestMovieData(title, year) {
-  const localId = `${title} (${year})`;
+function renderSharedLinks(opt) {
+  const people = opt.sharedPeople.map(person => {
+    const role = describeLinkRole(person);
+    const usesClass = person.usesLeft === 0 ? 'spent' : person.usesLeft === 1 ? 'last' : '';
+    return `
+      <span class="cine-helper-option-link ${usesClass}" title="${escapeHtml(role ? `${person.name} · ${role}` : person.name)}">
+        <span class="cine-helper-person-link" data-person-id="${escapeHtml(String(person.id))}">${escapeHtml(person.name)}</span>
+        ${describeUsesLeft(person)}
+      </span>
+    `;
+  });
+  const linkLabel = opt.sharedPeople.length === 1 ? 'link' : 'links';
+  
+  return `
+    <div class="cine-helper-option-links">
+      <span class="cine-helper-option-strength" title="Uses these links leave the opponent after this move">🔗 ${opt.sharedPeople.length} ${linkLabel} · strength ${opt.linkStrength}</span>
+      ${people.join('·')}
+    </div>
+  `;
+}
+
+/**
+ * List everyone on the current movie in the explorer's people list
+ *
+ * The movie only loads its 30 most popular people, so the full list is
+ * fetched the first time it's opened for each movie.
+ */
+async function updatePeopleList() {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
   
-  updateStatus(`Loading: ${title} (${year})...`);
+  const details = helper.querySelector('.cine-helper-people');
+  const list = helper.querySelector('.cine-helper-people-list');
+  if (!details.open) return;
+  if (!movieData) {
+    list.innerHTML = '<div class="cine-helper-empty">No movie loaded</div>';
+    return;
+  }
+  
+  const movieId = movieData.id;
+  if (moviePeople?.movieId !== movieId) {
+    list.innerHTML = '<div class="cine-helper-empty">Loading people...</div>';
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'getMoviePeople', movieId, roles: activeRules.roles });
+      if (!response.success) throw new Error(response.error);
+      moviePeople = { movieId, people: response.people };
+    } catch (e) {
+      console.error('[Helper] Failed to load people:', e);
+      list.innerHTML = `<div class="cine-helper-empty">Couldn't load people: ${escapeHtml(e.message)}</div>`;
+      return;
+    }
+    if (movieData?.id !== movieId) return;
+  }
+  
+  list.innerHTML = moviePeople.people.map(person => {
+    const loaded = Boolean(movieData.filmographies[person.id]);
+    const role = person.roles?.map(creditRoleLabel).join(', ') || '';
+    return `
+      <button class="cine-helper-person-pick ${loaded ? '' : 'unloaded'}" data-person-id="${escapeHtml(String(person.id))}"
+        title="${loaded ? '' : 'Not in the loaded options; fetched when opened'}">
+        ${escapeHtml(person.name)} <span class="cine-helper-person-pick-role">${escapeHtml(role)}</span>
+      </button>
+    `;
+  }).join('');
+}
+
+/**
+ * Open the explorer for a clicked person (option row or people list)
+ */
+function handlePersonClick(event) {
+  const target = event.target.closest('[data-person-id]');
+  if (!target) return;
   
+  const id = target.dataset.personId;
+  const person = [...(movieData?.people || []), ...(moviePeople?.people || [])].find(p => String(p.id) === id);
+  if (person) openPersonPanel(person);
+}
+
+/**
+ * Show a person's filmography in the explorer, fetching it if the movie
+ * didn't load it
+ */
+async function openPersonPanel(person) {
+  personPanel = { person, filmography: movieData?.filmographies[person.id] || null, error: null };
+  renderPersonPanel();
+  if (personPanel.filmography) return;
+  
+  const panel = personPanel;
   try {
     const response = await chrome.runtime.sendMessage({
-      type: 'getMovieData',
-      title,
-      year,
-      localId
+      type: 'getFilmography',
+      person: { id: person.id, name: person.name },
+      roles: activeRules.roles
     });
+    if (!response.success) throw new Error(response.error);
+    panel.filmography = response.filmography;
+  } catch (e) {
+    console.error(`[Helper] Failed to load ${person.name}'s filmography:`, e);
+    panel.error = e.message;
+  }
+  
+  if (panel === personPanel) renderPersonPanel();
+}
+
+function closePersonPanel() {
+  personPanel = null;
+  renderPersonPanel();
+}
+
+/**
+ * Group a filmography by role, then decade, newest first
+ *
+ * A film appears under every counted role the person had on it. Returns
+ * [{ role, count, decades: [{ decade, credits }] }], biggest role first.
+ */
+function groupFilmography(filmography) {
+  const byRole = new Map();
+  
+  for (const credit of filmography.credits) {
+    for (const role of credit.roles || [credit.role]) {
+      if (!byRole.has(role)) byRole.set(role, new Map());
+      const decades = byRole.get(role);
+      const decade = Math.floor(credit.year / 10) * 10;
+      if (!decades.has(decade)) decades.set(decade, []);
+      decades.get(decade).push(credit);
+    }
+  }
+  
+  return Array.from(byRole, ([role, decades]) => ({
+    role,
+    count: Array.from(decades.values()).reduce((sum, credits) => sum + credits.length, 0),
+    decades: Array.from(decades, ([decade, credits]) => ({
+      decade,
+      credits: credits.sort((a, b) => b.year - a.year || a.title.localeCompare(b.title))
+    })).sort((a, b) => b.decade - a.decade)
+  })).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Draw the person explorer: uses left, then films by role and decade marked
+ * played, Top 5000 and priority match
+ */
+function renderPersonPanel() {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  const container = helper.querySelector('.cine-helper-person');
+  if (!personPanel) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+  
+  const { person, filmography, error } = personPanel;
+  const linkCap = activeRules.linkCap;
+  const uses = linkUsage[person.id] || 0;
+  const left = Math.max(0, linkCap - uses);
+  const usesClass = left === 0 ? 'spent' : left === 1 ? 'warn' : '';
+  
+  let html = `
+    <div class="cine-helper-person-header">
+      <strong>${escapeHtml(person.name)}</strong>
+      <span class="cine-helper-person-uses ${usesClass}">${left} of ${linkCap} uses left</span>
+      <button class="cine-helper-person-close" title="Close">✕</button>
+    </div>
+  `;
+  
+  if (error) {
+    html += `<div class="cine-helper-empty">Couldn't load filmography: ${escapeHtml(error)}</div>`;
+  } else if (!filmography) {
+    html += '<div class="cine-helper-empty">Loading filmography...</div>';
+  } else {
+    const { played } = getPlayedMovies();
+    const checkEligibility = createEligibilityCheck(eligibility);
     
-    if (response.success) {
-      movieData = response.data;
-      currentMovieId = localId;
-      updateStatus(`Loaded: ${movieData.people.length} cast/crew`);
-      updateOptionsDisplay();
-    } else {
+    html += '<div class="cine-helper-person-legend">struck = played · 🎟️ Top 5000 · 🎯 priority match</div>';
+    for (const group of groupFilmography(filmography)) {
+      html += `<div class="cine-helper-person-role">${escapeHtml(creditRoleLabel(group.role))} (${group.count})</div>`;
+      for (const { decade, credits } of group.decades) {
+        const films = credits.map(credit => {
+          const isPlayed = played.has(playedKey(credit));
+          const isEligible = checkEligibility(credit).eligible;
+          const isPriority = matchesPriorityFilter(withFilterMetadata(credit, movieMetadata[credit.id]), priorityFilters) === true;
+          return `<span class="cine-helper-person-film ${isPlayed ? 'played' : ''} ${isPriority ? 'priority' : ''}">` +
+            `${isPriority ? '🎯 ' : ''}${escapeHtml(credit.title)} (${credit.year})${isEligible ? ' 🎟️' : ''}</span>`;
+        }).join(', ');
+        html += `<div class="cine-helper-person-decade"><span class="cine-helper-person-decade-label">${decade}s</span> ${films}</div>`;
+      }
+    }
+  }
+  
+  if (container.dataset.html !== html) {
+    container.dataset.html = html;
+    container.innerHTML = html;
+  }
+  container.style.display = 'block';
+}
+
+/**
+ * Show which TMDB movie the board title resolved to
+ *
+ * Low-confidence matches open the picker straight away; confident ones can
+ * still be corrected via "Wrong film?".
+ */
+function updateMatchDisplay(showPicker = false) {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  const container = helper.querySelector('.cine-helper-match');
+  const resolution = movieData?.resolution;
+  
+  if (!resolution || resolution.candidates.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+  
+  const best = resolution.candidates[0];
+  const confidence = Math.round(resolution.confidence * 100);
+  const pickerOpen = showPicker || resolution.needsConfirmation;
+  
+  let html = resolution.needsConfirmation
+    ? `<div class="cine-helper-match-warning">⚠️ Not sure which film this is (${confidence}% match). Pick the right one:</div>`
+    : `<div class="cine-helper-match-summary">Matched: ${escapeHtml(best.title)} (${best.year}) · ${confidence}% <button class="cine-helper-match-change">Wrong film?</button></div>`;
+  
+  if (pickerOpen) {
+    html += resolution.candidates.map(c => `
+      <button class="cine-helper-match-candidate" data-movie-id="${escapeHtml(String(c.id))}">
+        ${escapeHtml(c.title)} (${c.year || '?'})${c.originalTitle && c.originalTitle !== c.title ? ` — ${escapeHtml(c.originalTitle)}` : ''}
+        <span class="cine-helper-match-votes">${c.voteCount} votes</span>
+      </button>
+    `).join('');
+  }
+  
+  container.innerHTML = html;
+  container.style.display = 'block';
+}
+
+/**
+ * Handle clicks in the match picker
+ */
+async function handleMatchClick(event) {
+  if (event.target.closest('.cine-helper-match-change')) {
+    updateMatchDisplay(true);
+    return;
+  }
+  
+  const button = event.target.closest('.cine-helper-match-candidate');
+  if (!button || !movieData) return;
+  
+  const candidate = movieData.resolution.candidates.find(c => String(c.id) === button.dataset.movieId);
+  const board = parseMovieTitle(movieData.localId);
+  if (!candidate || !board) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: 'chooseMovie',
+      localId: movieData.localId,
+      movie: candidate,
+      candidates: movieData.resolution.candidates
+    });
+    if (!response.success) {
       updateStatus(`Error: ${response.error}`, true);
+      return;
     }
+    await requestMovieData(board.title, board.year);
   } catch (err) {
     updateStatus(`Error: ${err.message}`, true);
   }
 }
 
 /**
- * Main update loop
+ * Show or hide the load progress bar
+ */
+function updateProgress(loaded, total) {
+  const helper = document.getElementById('cine-helper');
+  if (!helper) return;
+  
+  const progress = helper.querySelector('.cine-helper-progress');
+  if (total > 0 && loaded < total) {
+    progress.style.display = 'block';
+    progress.querySelector('.cine-helper-progress-bar').style.width = `${Math.round(loaded / total * 100)}%`;
+  } else {
+    progress.style.display = 'none';
+  }
+}
+
+/**
+ * Have the background load the opponent's likely replies while they think
+ *
+ * Runs once per movie we play, so our next turn should start from cache.
+ */
+function startPrefetch() {
+  const movie = getCurrentMovie();
+  if (!movie) return;
+  
+  const localId = `${movie.title} (${movie.year})`;
+  if (localId === prefetchMovieId) return;
+  
+  stopPrefetch();
+  prefetchMovieId = localId;
+  const port = chrome.runtime.connect({ name: 'prefetch' });
+  prefetchPort = port;
+  
+  port.onMessage.addListener(message => {
+    if (port !== prefetchPort || message.type !== 'done') return;
+    stopPrefetch();
+    if (message.prefetched.length > 0 && !isPlayerTurn() && !isGameOver()) {
+      updateStatus(`Opponent's turn... ${message.prefetched.length} likely replies loaded`);
+    }
+  });
+  
+  port.postMessage({
+    type: 'start',
+    request: {
+      title: movie.title,
+      year: movie.year,
+      localId,
+      played: Array.from(getPlayedMovies().played),
+      usage: linkUsage,
+      rules: activeRules
+    }
+  });
+}
+
+/**
+ * Stop a prefetch still running (closing the port aborts it)
+ */
+function stopPrefetch() {
+  if (prefetchPort) {
+    prefetchPort.disconnect();
+    prefetchPort = null;
+  }
+}
+
+/**
+ * Cancel any in-flight movie load
+ */
+function cancelMovieLoad() {
+  if (loadPort) {
+    loadPort.postMessage({ type: 'cancel' });
+    loadPort.disconnect();
+    loadPort = null;
+  }
+  loadingMovieId = null;
+  updateProgress(0, 0);
+}
+
+/**
+ * Request movie data from background script
+ *
+ * Data streams in over a port: the people list first, then each filmography
+ * as it's fetched, so options appear (and re-rank) while the load runs. If
+ * the worker is shut down mid-load the port drops; reconnecting picks up the
+ * job the restarted worker resumed (see jobs.js).
+ */
+function requestMovieData(title, year) {
+  const localId = `${title} (${year})`;
+  let verb = localId === resumingMovieId ? 'Resuming' : 'Loading';
+  
+  cancelMovieLoad();
+  loadingMovieId = localId;
+  updateStatus(`${verb}: ${title} (${year})...`);
+  
+  const port = chrome.runtime.connect({ name: 'movie-data' });
+  loadPort = port;
+  
+  port.onMessage.addListener(message => {
+    if (port !== loadPort || message.localId !== localId) return;
+    
+    if (message.type === 'start') {
+      if (message.resumed) verb = 'Resuming';
+      movieData = message.data;
+      currentMovieId = null;
+      updatePeopleList();
+      updateStatus(`${verb}: ${title} (${year}) — 0/${message.total} people loaded`);
+      updateProgress(0, message.total);
+      updateMatchDisplay();
+      updateOptionsDisplay();
+    } else if (message.type === 'filmography') {
+      movieData.filmographies[message.personId] = message.filmography;
+      const person = movieData.people.find(p => p.id === message.personId);
+      if (person) person.creditCount = message.filmography.creditCount;
+      updateStatus(`${verb}: ${title} (${year}) — ${message.loaded}/${message.total} people loaded`);
+      updateProgress(message.loaded, message.total);
+      updateOptionsDisplay();
+    } else if (message.type === 'done') {
+      movieData = message.data;
+      currentMovieId = localId;
+      loadingMovieId = null;
+      resumingMovieId = null;
+      loadPort = null;
+      port.disconnect();
+      updateProgress(0, 0);
+      updateStatus(`Loaded: ${movieData.people.length} cast/crew`);
+      rememberMovieInfo(movieData, movieData.localId);
+      updateMatchDisplay();
+      updateOptionsDisplay();
+      requestLookahead();
+    } else if (message.type === 'error') {
+      // Leave currentMovieId alone so the retry loads it again
+      loadingMovieId = null;
+      resumingMovieId = null;
+      loadPort = null;
+      port.disconnect();
+      updateProgress(0, 0);
+      updateStatus(`Error: ${message.error}`, true);
+      setTimeout(update, LOAD_RETRY_MS);
+    }
+  });
+  
+  port.onDisconnect.addListener(() => {
+    if (port !== loadPort) return;
+    loadingMovieId = null;
+    loadPort = null;
+    updateProgress(0, 0);
+    
+    // A reloaded extension never comes back to this page
+    if (!chrome.runtime?.id) {
+      updateStatus('Error: the extension was reloaded - refresh the page', true);
+      return;
+    }
+    
+    if (resumingMovieId !== localId) {
+      resumingMovieId = localId;
+      resumeAttempts = 0;
+    }
+    if (++resumeAttempts > MAX_RESUME_ATTEMPTS) {
+      resumingMovieId = null;
+      updateStatus('Error: lost connection to the extension', true);
+      return;
+    }
+    
+    // The worker was shut down mid-load and resumes the job when it restarts
+    updateStatus(`Resuming: ${title} (${year})...`);
+    setTimeout(update, RESUME_DELAY_MS);
+  });
+  
+  port.postMessage({ type: 'load', title, year, localId, rules: activeRules });
+}
+
+/**
+ * Reset per-game state for the next game
+ */
+function resetGame() {
+  cancelMovieLoad();
+  currentMovieId = null;
+  movieData = null;
+  linkUsage = {};
+  linkMoves = [];
+  boardLinks = {};
+  boardLinkRetries = {};
+  lookaheadResults = {};
+  lookaheadToken++;
+  pendingGuess = null;
+  personPanel = null;
+  stopPrefetch();
+  prefetchMovieId = null;
+  updateMatchDisplay();
+  renderPersonPanel();
+  resetWinConditions();
+  isSetupPhase = true;
+}
+
+/**
+ * Bring the sidebar up to date with the board (runs after every board change)
  */
 async function update() {
   // Create UI if not exists
@@ -546,22 +1570,30 @@ async function update() {
     createHelperUI();
   }
   
+  updateActiveRules();
+  trackMatch();
+  
   // Check game state
+  const reviewBtn = document.querySelector('#cine-helper .cine-helper-review');
+  reviewBtn.style.display = isGameOver() && lastFinishedMatchId ? 'block' : 'none';
   if (isGameOver()) {
+    stopPrefetch();
     updateStatus('Game over');
-    // Reset for next game
-    currentMovieId = null;
-    movieData = null;
-    linkUsage = {};
-    isSetupPhase = true;
     return;
   }
   
+  updateWinConditions();
+  
   if (!isPlayerTurn()) {
     updateStatus("Opponent's turn...");
+    startPrefetch();
     return;
   }
   
+  stopPrefetch();
+  
+  checkPendingGuess();
+  
   // Get current movie
   const movie = getCurrentMovie();
   if (!movie) {
@@ -571,13 +1603,37 @@ async function update() {
   
   const localId = `${movie.title} (${movie.year})`;
   
-  // Only fetch if movie changed
-  if (localId !== currentMovieId) {
-    await requestMovieData(movie.title, movie.year);
+  // Only fetch if movie changed (a new movie cancels any load in progress)
+  if (localId !== currentMovieId && localId !== loadingMovieId) {
+    requestMovieData(movie.title, movie.year);
   }
 }
 
+// Keep eligibility current as the board teaches us and lists are imported
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.eligibility) {
+    eligibility = changes.eligibility.newValue || null;
+    updateOptionsDisplay();
+  }
+  if (area === 'local' && changes.rulesProfiles) {
+    loadRulesSettings();
+  }
+  if (area === 'local' && changes.scoringSettings) {
+    loadSavedStrategy();
+  }
+});
+
 // Initialize
 console.log('[Cine2Nerdle Helper] Content script loaded');
+document.addEventListener('keydown', watchGuesses, true);
 createHelperUI();
-setInterval(update, 500);
+loadRulesSettings();
+observeBoard({
+  onChange: update,
+  onMoviePlayed: event => {
+    // A new starter is a new game, even if the end screen was never seen
+    if (event.index === 0) resetGame();
+    requestBoardLinks();
+  },
+  onGameOver: resetGame
+}, '#cine-helper');
@@ -0,0 +1,236 @@
+/**
+ * Cine2Nerdle Helper - Top 5000 Eligibility
+ * Decides whether a film can be played during the setup phase
+ *
+ * Sources, most trusted first: what the board has taught us (films accepted
+ * during setup, or explicitly turned down as outside the Top 5000), an
+ * imported ranked list, and TMDB popularity as a last resort. Answers that
+ * simply never reached the board only count as soft votes against a film:
+ * they lower its confidence, fade over time and never overrule the list.
+ * Stored in chrome.storage.local under `eligibility`:
+ *   list    - { keys: { 'title|year': rank }, ids: { id: rank }, size, source, importedAt }
+ *   learned - { 'title|year': { eligible, explicit?, at } } for proof, or
+ *             { votes, at } for unaccepted answers (older { eligible: false }
+ *             entries were inferred, so they read as one vote)
+ */
+
+const TOP_5000_SIZE = 5000;
+
+// Fallback when there's no list: TMDB popularity ~10+ is generally well-known
+// films. It drifts daily, so films near it are a coin flip.
+const TOP_5000_POPULARITY_THRESHOLD = 8;
+
+// List ranks within this distance of the cut-off are treated as uncertain,
+// since the list and the game's own ranking won't agree exactly
+const ELIGIBILITY_RANK_MARGIN = 500;
+
+// Each unaccepted answer takes this share off a film's confidence, up to the
+// cap, and counts for half as much after every half-life
+const REJECTION_VOTE_PENALTY = 0.2;
+const MAX_REJECTION_PENALTY = 0.5;
+const REJECTION_HALF_LIFE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Tail of the queued writes; each update waits for the one before
+let eligibilityWrites = Promise.resolve();
+
+/**
+ * Lookup key for a film: normalised title and year
+ */
+function eligibilityKey(movie) {
+  return `${normalizeTitle(movie.title)}|${movie.year}`;
+}
+
+async function loadEligibility() {
+  const { eligibility } = await chrome.storage.local.get(['eligibility']);
+  return eligibility || { list: null, learned: {} };
+}
+
+/**
+ * Change the stored eligibility, one update at a time
+ *
+ * Every update reads and rewrites the whole object, so overlapping ones
+ * would drop each other's changes. change(data) edits data in place and
+ * returns false to skip the write; resolves to whether it wrote.
+ */
+function updateEligibility(change) {
+  const update = eligibilityWrites.then(async () => {
+    const data = await loadEligibility();
+    if (change(data) === false) return false;
+    await chrome.storage.local.set({ eligibility: data });
+    return true;
+  });
+  eligibilityWrites = update.catch(() => {});
+  return update;
+}
+
+/**
+ * Whether a learned entry is proof rather than soft votes
+ */
+function isLearnedProof(learned) {
+  return Boolean(learned) && (learned.eligible === true || learned.explicit === true);
+}
+
+/**
+ * Weight of the soft votes against a film, faded by age
+ */
+function rejectionVotes(learned, now = Date.now()) {
+  if (!learned || isLearnedProof(learned)) return 0;
+  const votes = learned.votes ?? 1;
+  return votes * Math.pow(0.5, (now - learned.at) / REJECTION_HALF_LIFE_MS);
+}
+
+/**
+ * How likely a film is to be in the Top 5000
+ *
+ * Returns { eligible, probability, source, detail } where source is
+ * 'learned', 'list' or 'popularity' and detail explains it for tooltips.
+ * Soft votes only lower the probability; the verdict stays the list's.
+ */
+function getEligibility(movie, eligibility) {
+  const learned = eligibility?.learned?.[eligibilityKey(movie)];
+  if (isLearnedProof(learned)) {
+    return {
+      eligible: learned.eligible,
+      probability: learned.eligible ? 1 : 0,
+      source: 'learned',
+      detail: learned.eligible ? 'Accepted during setup before' : 'Turned down as outside the Top 5000 before'
+    };
+  }
+  
+  const result = getRankedEligibility(movie, eligibility);
+  const votes = rejectionVotes(learned);
+  if (votes > 0) {
+    const probability = result.probability * (1 - Math.min(MAX_REJECTION_PENALTY, REJECTION_VOTE_PENALTY * votes));
+    result.probability = result.eligible ? Math.max(0.5, probability) : probability;
+    result.detail += ' · an answer went unaccepted during setup';
+  }
+  return result;
+}
+
+/**
+ * Eligibility from the imported list, or TMDB popularity without one
+ */
+function getRankedEligibility(movie, eligibility) {
+  const key = eligibilityKey(movie);
+  const list = eligibility?.list;
+  if (list) {
+    const rank = list.ids[movie.id] ?? list.keys[key];
+    if (rank !== undefined) {
+      const certainty = 0.6 + 0.35 * Math.min(1, Math.abs(TOP_5000_SIZE - rank) / ELIGIBILITY_RANK_MARGIN);
+      const eligible = rank <= TOP_5000_SIZE;
+      return {
+        eligible,
+        probability: eligible ? certainty : 1 - certainty,
+        source: 'list',
+        detail: `#${rank} in ${list.source}`
+      };
+    }
+    
+    // A full list that doesn't mention the film: most likely out, unless it's titled differently
+    if (list.size >= TOP_5000_SIZE) {
+      return { eligible: false, probability: 0.2, source: 'list', detail: `Not in ${list.source}` };
+    }
+  }
+  
+  const popularity = movie.popularity || 0;
+  const distance = Math.abs(popularity - TOP_5000_POPULARITY_THRESHOLD) / TOP_5000_POPULARITY_THRESHOLD;
+  const certainty = 0.5 + 0.3 * Math.min(1, distance);
+  const eligible = popularity >= TOP_5000_POPULARITY_THRESHOLD;
+  return {
+    eligible,
+    probability: eligible ? certainty : 1 - certainty,
+    source: 'popularity',
+    detail: `TMDB popularity ${popularity.toFixed(1)} (no list imported)`
+  };
+}
+
+/**
+ * Memoised eligibility check for one ranking pass
+ *
+ * Option ranking looks at the same credits many times over; titles only need
+ * normalising once per film.
+ */
+function createEligibilityCheck(eligibility) {
+  const seen = new Map();
+  return movie => {
+    if (!seen.has(movie.id)) {
+      seen.set(movie.id, getEligibility(movie, eligibility));
+    }
+    return seen.get(movie.id);
+  };
+}
+
+/**
+ * Record what the board told us about a film
+ *
+ * eligible is an acceptance, or false for an answer the game explicitly
+ * turned down as outside the Top 5000. An acceptance is never overwritten.
+ * Returns whether anything changed.
+ */
+async function learnEligibility(movie, eligible) {
+  const key = eligibilityKey(movie);
+  const changed = await updateEligibility(data => {
+    const existing = data.learned[key];
+    
+    // Nothing new, or a rejection trying to overrule an acceptance
+    if (existing?.eligible === true || (isLearnedProof(existing) && !eligible)) return false;
+    
+    data.learned[key] = eligible ? { eligible, at: Date.now() } : { eligible, explicit: true, at: Date.now() };
+  });
+  
+  if (changed) console.log(`[Helper] Learned ${movie.title} (${movie.year}) is ${eligible ? '' : 'not '}Top 5000`);
+  return changed;
+}
+
+/**
+ * Count a soft vote against a film whose answer never reached the board
+ *
+ * The game gave no reason, so it may have been slow or turned the answer
+ * down for something else. Returns whether anything changed.
+ */
+async function voteIneligible(movie) {
+  const key = eligibilityKey(movie);
+  const changed = await updateEligibility(data => {
+    const existing = data.learned[key];
+    if (isLearnedProof(existing)) return false;
+    
+    data.learned[key] = { votes: rejectionVotes(existing) + 1, at: Date.now() };
+  });
+  
+  if (changed) console.log(`[Helper] ${movie.title} (${movie.year}) went unaccepted during setup`);
+  return changed;
+}
+
+/**
+ * Replace the ranked list
+ *
+ * entries: [{ id, title, year, rank }] where id is optional and rank 1 is the
+ * best-known film.
+ */
+async function saveEligibilityList(entries, source) {
+  const keys = {};
+  const ids = {};
+  
+  for (const entry of entries) {
+    const key = eligibilityKey(entry);
+    keys[key] = Math.min(keys[key] ?? Infinity, entry.rank);
+    if (entry.id !== undefined && entry.id !== null) ids[entry.id] = entry.rank;
+  }
+  
+  await updateEligibility(data => {
+    data.list = { keys, ids, size: entries.length, source, importedAt: Date.now() };
+  });
+}
+
+/**
+ * Drop the imported list or everything learned from the board
+ */
+async function clearEligibility(part) {
+  await updateEligibility(data => {
+    if (part === 'list') {
+      data.list = null;
+    } else {
+      data.learned = {};
+    }
+  });
+}
@@ -0,0 +1,264 @@
+/**
+ * Cine2Nerdle Helper - Filter Expressions
+ * A small query language for priority filters, e.g.
+ *   (horror OR sci-fi) NOT comedy year:1980-1999 keyword:"based on novel"
+ *
+ * Terms next to each other are AND-ed; OR, NOT (or a leading "-") and
+ * parentheses work as usual. A bare word is a genre or a decade ("80s");
+ * other terms are field:value:
+ *   genre:horror, year:1995 / 1980-1999 / >=2000 / 1980s, lang:ja,
+ *   country:KR, runtime:<90 / 90-120, keyword:"based on novel"
+ *
+ * Language, country, runtime and keywords come from TMDB movie metadata
+ * (fetched through the background script). A movie whose metadata isn't
+ * loaded yet evaluates to null - unknown - rather than false.
+ */
+
+// Other ways to write a genre, keyed like genreKey()
+const GENRE_EXPRESSION_ALIASES = {
+  scifi: 'Sci-Fi',
+  sciencefiction: 'Sci-Fi',
+  animated: 'Animation',
+  tv: 'TV Movie',
+  musical: 'Music'
+};
+
+// Parsed expressions by text, since ranking evaluates one for every option
+const compiledFilterExpressions = new Map();
+
+function genreKey(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function findGenre(text) {
+  const key = genreKey(text);
+  const name = Object.values(GENRES).find(genre => genreKey(genre) === key) || GENRE_EXPRESSION_ALIASES[key];
+  return name ? GENRE_IDS[name] : null;
+}
+
+/**
+ * Parse "1995", "1980-1999", ">=2000", "<90" etc. into { min, max }
+ */
+function parseRange(text, label) {
+  const between = text.match(/^(\d+)-(\d+)$/);
+  if (between) return { min: parseInt(between[1]), max: parseInt(between[2]) };
+  
+  const compare = text.match(/^(<=|>=|<|>)?(\d+)$/);
+  if (!compare) throw new Error(`Can't read ${label} "${text}" - try 1995, 1980-1999 or >=2000`);
+  
+  const value = parseInt(compare[2]);
+  switch (compare[1]) {
+    case '<': return { min: null, max: value - 1 };
+    case '<=': return { min: null, max: value };
+    case '>': return { min: value + 1, max: null };
+    case '>=': return { min: value, max: null };
+    default: return { min: value, max: value };
+  }
+}
+
+/**
+ * A decade like "1980s", "80s" or "'80s" as a year range, or null
+ */
+function parseDecade(text) {
+  const full = text.match(/^(1[89]|20)(\d)0s$/);
+  if (full) {
+    const start = parseInt(full[1] + full[2] + '0');
+    return { min: start, max: start + 9 };
+  }
+  
+  const short = text.match(/^['‘’]?(\d)0s$/);
+  if (short) {
+    const digit = parseInt(short[1]);
+    const start = (digit < 3 ? 2000 : 1900) + digit * 10;
+    return { min: start, max: start + 9 };
+  }
+  
+  return null;
+}
+
+/**
+ * Turn one term into a node
+ */
+function parseTerm(token) {
+  const field = token.match(/^([a-z]+):(.*)$/i);
+  const name = field ? field[1].toLowerCase() : null;
+  const value = (field ? field[2] : token).replace(/^"|"$/g, '').trim();
+  if (!value) throw new Error(`"${token}" needs a value`);
+  
+  if (!field) {
+    const decade = parseDecade(value);
+    if (decade) return { type: 'year', ...decade };
+  }
+  
+  switch (name) {
+    case null:
+    case 'genre': {
+      const genre = findGenre(value);
+      if (genre === null) {
+        throw new Error(`Unknown genre "${value}"${name ? '' : ` - use keyword:"${value}" for TMDB keywords`}`);
+      }
+      return { type: 'genre', genre };
+    }
+    case 'year':
+    case 'decade':
+      return { type: 'year', ...(parseDecade(value) || parseRange(value, 'year')) };
+    case 'runtime':
+      return { type: 'runtime', ...parseRange(value, 'runtime') };
+    case 'lang':
+    case 'language':
+      return { type: 'lang', code: value.toLowerCase() };
+    case 'country':
+      return { type: 'country', code: value.toUpperCase() };
+    case 'keyword':
+      return { type: 'keyword', text: value.toLowerCase() };
+    default:
+      throw new Error(`Unknown filter "${name}:" - try genre, year, lang, country, runtime or keyword`);
+  }
+}
+
+/**
+ * Parse an expression into a tree of { type: 'and' | 'or', items },
+ * { type: 'not', item } and term nodes, throwing on bad input
+ */
+function parseFilterExpression(text) {
+  const tokens = text.match(/[()]|-(?=\S)|[a-z]+:"[^"]*"|"[^"]*"|[^\s()]+/gi) || [];
+  let position = 0;
+  
+  const peek = () => tokens[position];
+  const isWord = (token, word) => token?.toUpperCase() === word;
+  
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (isWord(peek(), 'OR')) {
+      position++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  };
+  
+  const parseAnd = () => {
+    const items = [parseNot()];
+    while (peek() !== undefined && peek() !== ')' && !isWord(peek(), 'OR')) {
+      if (isWord(peek(), 'AND')) position++;
+      items.push(parseNot());
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  };
+  
+  const parseNot = () => {
+    if (isWord(peek(), 'NOT') || peek() === '-') {
+      position++;
+      return { type: 'not', item: parseNot() };
+    }
+    return parsePrimary();
+  };
+  
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (token === undefined) throw new Error('The filter ends too early');
+    if (token === '(') {
+      const node = parseOr();
+      if (tokens[position++] !== ')') throw new Error('Missing ")"');
+      return node;
+    }
+    if (token === ')' || isWord(token, 'AND') || isWord(token, 'OR')) {
+      throw new Error(`Unexpected "${token}"`);
+    }
+    return parseTerm(token);
+  };
+  
+  if (tokens.length === 0) throw new Error('The filter is empty');
+  const tree = parseOr();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position]}"`);
+  return tree;
+}
+
+/**
+ * Parsed expression for text, or null when it's blank or doesn't parse
+ */
+function compileFilterExpression(text) {
+  if (!text || !text.trim()) return null;
+  
+  if (!compiledFilterExpressions.has(text)) {
+    let tree = null;
+    try {
+      tree = parseFilterExpression(text);
+    } catch (e) {
+      console.error('[Helper] Ignoring bad filter expression:', e.message);
+    }
+    compiledFilterExpressions.set(text, tree);
+  }
+  return compiledFilterExpressions.get(text);
+}
+
+function inRange(value, { min, max }) {
+  return (min === null || value >= min) && (max === null || value <= max);
+}
+
+/**
+ * A film with its metadata merged in, in the shape the evaluator reads
+ *
+ * movie is a filmography credit ({ genres, year, language? }); metadata is
+ * { language, countries, runtime, keywords } from the background, or
+ * undefined when it hasn't been loaded.
+ */
+function withFilterMetadata(movie, metadata) {
+  return {
+    ...movie,
+    language: movie.language || metadata?.language,
+    countries: metadata?.countries,
+    runtime: metadata?.runtime,
+    keywords: metadata?.keywords
+  };
+}
+
+/**
+ * Evaluate an expression against a film: true, false, or null if unknown
+ *
+ * Unknowns follow three-valued logic, so "horror OR lang:ja" is already
+ * true for a horror film whose language isn't loaded.
+ */
+function evaluateFilterExpression(node, movie) {
+  switch (node.type) {
+    case 'and': {
+      let result = true;
+      for (const item of node.items) {
+        const value = evaluateFilterExpression(item, movie);
+        if (value === false) return false;
+        if (value === null) result = null;
+      }
+      return result;
+    }
+    case 'or': {
+      let result = false;
+      for (const item of node.items) {
+        const value = evaluateFilterExpression(item, movie);
+        if (value === true) return true;
+        if (value === null) result = null;
+      }
+      return result;
+    }
+    case 'not': {
+      const value = evaluateFilterExpression(node.item, movie);
+      return value === null ? null : !value;
+    }
+    case 'genre':
+      return movie.genres.includes(node.genre);
+    case 'year':
+      return inRange(movie.year, node);
+    case 'runtime':
+      if (movie.runtime === undefined) return null;
+      return Boolean(movie.runtime) && inRange(movie.runtime, node);
+    case 'lang':
+      if (movie.language === undefined) return null;
+      return movie.language === node.code;
+    case 'country':
+      if (movie.countries === undefined) return null;
+      return movie.countries.includes(node.code);
+    case 'keyword':
+      if (movie.keywords === undefined) return null;
+      return movie.keywords.some(keyword => keyword.includes(node.text));
+    default:
+      return false;
+  }
+}
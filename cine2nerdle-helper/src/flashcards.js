@@ -0,0 +1,192 @@
+/**
+ * Cine2Nerdle Helper - Flashcards
+ * Spaced-repetition cards built from connections the player missed
+ *
+ * Each card lives in chrome.storage.local under its own `flashcard:<card id>`
+ * key, so the sidebar adding cards and the trainer grading them never write
+ * over each other. Card types:
+ *   connect     - "Name a film connecting X and Y" (two people from one option)
+ *   filmography - "Name three films by Z"
+ * Scheduling follows SM-2: quality 0-5, an ease factor per card, and
+ * intervals of 1 day, 6 days, then the previous interval times the ease.
+ */
+
+const FLASHCARD_DAY_MS = 24 * 60 * 60 * 1000;
+
+// Passed-over links with at least this many credits are worth learning
+const MISSED_LINK_MIN_CREDITS = 20;
+
+// Cards made per turn, so one rich board doesn't flood the queue
+const MISSED_CARDS_PER_TURN = 3;
+
+const SM2_INITIAL_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+
+// Films the player must name for a filmography card
+const FILMOGRAPHY_CARD_ANSWERS = 3;
+
+const FLASHCARD_KEY_PREFIX = 'flashcard:';
+
+function flashcardKey(id) {
+  return FLASHCARD_KEY_PREFIX + id;
+}
+
+/**
+ * Move cards saved by older versions, all under one `flashcards` object, to
+ * their own keys
+ *
+ * A card already stored under its own key wins.
+ */
+async function migrateFlashcards() {
+  const { flashcards } = await chrome.storage.local.get(['flashcards']);
+  if (!flashcards) return;
+  
+  const ids = Object.keys(flashcards);
+  const stored = await chrome.storage.local.get(ids.map(flashcardKey));
+  const moved = {};
+  for (const id of ids) {
+    if (!(flashcardKey(id) in stored)) moved[flashcardKey(id)] = flashcards[id];
+  }
+  
+  await chrome.storage.local.set(moved);
+  await chrome.storage.local.remove('flashcards');
+}
+
+/**
+ * Every card, by card id
+ */
+async function loadFlashcards() {
+  await migrateFlashcards();
+  const everything = await chrome.storage.local.get(null);
+  const flashcards = {};
+  for (const [key, card] of Object.entries(everything)) {
+    if (key.startsWith(FLASHCARD_KEY_PREFIX)) flashcards[card.id] = card;
+  }
+  return flashcards;
+}
+
+/**
+ * New card with a fresh SM-2 schedule, due now
+ */
+function createFlashcard(type, people, source, examples) {
+  const ids = people.map(p => p.id).sort();
+  return {
+    id: `${type}:${ids.join('-')}`,
+    type,
+    people,
+    source,
+    examples,
+    createdAt: Date.now(),
+    due: Date.now(),
+    interval: 0,
+    ease: SM2_INITIAL_EASE,
+    reps: 0,
+    lapses: 0
+  };
+}
+
+/**
+ * Cards for the strong options offered on a turn, other than the one played
+ *
+ * Options that share two people become "connect" cards; the rest drill the
+ * link's filmography. The turn's movie is kept so it can be ruled out as an
+ * answer.
+ */
+function collectMissedCards(offered, sourceMovie, playedLocalId = null) {
+  const cards = [];
+  const source = { title: sourceMovie.title, year: sourceMovie.year };
+  const played = playedLocalId && playedLocalId.toLowerCase();
+  
+  for (const option of offered) {
+    if (cards.length >= MISSED_CARDS_PER_TURN) break;
+    if (option.creditCount < MISSED_LINK_MIN_CREDITS) continue;
+    if (`${option.title} (${option.year})`.toLowerCase() === played) continue;
+    
+    const people = option.people || [];
+    const example = { title: option.title, year: option.year };
+    if (people.length >= 2) {
+      cards.push(createFlashcard('connect', people.slice(0, 2), source, [example]));
+    } else if (people.length === 1) {
+      cards.push(createFlashcard('filmography', people, source, [example]));
+    }
+  }
+  
+  return cards;
+}
+
+/**
+ * Save new cards, keeping the schedule of any card we already have
+ */
+async function addFlashcards(cards) {
+  if (cards.length === 0) return 0;
+  
+  await migrateFlashcards();
+  const stored = await chrome.storage.local.get(cards.map(card => flashcardKey(card.id)));
+  const changed = {};
+  let added = 0;
+  for (const card of cards) {
+    const existing = stored[flashcardKey(card.id)];
+    if (existing) {
+      // Missing it again brings it forward
+      if (card.due < existing.due) changed[flashcardKey(card.id)] = { ...existing, due: card.due };
+    } else {
+      changed[flashcardKey(card.id)] = card;
+      added++;
+    }
+  }
+  await chrome.storage.local.set(changed);
+  return added;
+}
+
+/**
+ * Write back one card (or delete it when card is null)
+ *
+ * Returns every card, including any a battle in another tab added meanwhile.
+ */
+async function saveFlashcard(id, card) {
+  if (card) {
+    await chrome.storage.local.set({ [flashcardKey(id)]: card });
+  } else {
+    await chrome.storage.local.remove(flashcardKey(id));
+  }
+  return loadFlashcards();
+}
+
+/**
+ * Apply an SM-2 review to a card (quality 0-5, below 3 is a lapse)
+ */
+function scheduleFlashcard(card, quality, now = Date.now()) {
+  if (quality < 3) {
+    card.reps = 0;
+    card.lapses++;
+    card.interval = 1;
+  } else {
+    card.reps++;
+    card.interval = card.reps === 1 ? 1 : card.reps === 2 ? 6 : Math.round(card.interval * card.ease);
+  }
+  
+  card.ease = Math.max(SM2_MIN_EASE, card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  card.due = now + card.interval * FLASHCARD_DAY_MS;
+  card.lastReviewed = now;
+  return card;
+}
+
+/**
+ * Cards due for review, most overdue first
+ */
+function dueFlashcards(flashcards, now = Date.now()) {
+  return Object.values(flashcards)
+    .filter(card => card.due <= now)
+    .sort((a, b) => a.due - b.due);
+}
+
+/**
+ * Question text for a card
+ */
+function flashcardPrompt(card) {
+  if (card.type === 'connect') {
+    const [a, b] = card.people;
+    return `Name a film connecting ${a.name} and ${b.name} (other than ${card.source.title})`;
+  }
+  return `Name ${FILMOGRAPHY_CARD_ANSWERS} films by ${card.people[0].name}`;
+}
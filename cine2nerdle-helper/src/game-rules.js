@@ -0,0 +1,356 @@
+/**
+ * Cine2Nerdle Helper - Game Rules
+ * Battle rules and option ranking shared by the sidebar and the practice page
+ *
+ * Everything here is a pure function of movie data and board state, so the
+ * same ranking drives the live sidebar, practice hints and the practice bot.
+ * The mode's rules come from a profile (rules-profiles.js), setup-phase
+ * eligibility from eligibility.js and option scores from scoring.js.
+ */
+
+// Options leaving the opponent this many replies or fewer get a trap badge
+const TRAP_REPLY_THRESHOLD = 3;
+
+// Genre ID mapping (same as background)
+const GENRES = {
+  28: 'Action',
+  12: 'Adventure',
+  16: 'Animation',
+  35: 'Comedy',
+  80: 'Crime',
+  99: 'Documentary',
+  18: 'Drama',
+  10751: 'Family',
+  14: 'Fantasy',
+  36: 'History',
+  27: 'Horror',
+  10402: 'Music',
+  9648: 'Mystery',
+  10749: 'Romance',
+  878: 'Sci-Fi',
+  10770: 'TV Movie',
+  53: 'Thriller',
+  10752: 'War',
+  37: 'Western'
+};
+
+const GENRE_IDS = Object.fromEntries(
+  Object.entries(GENRES).map(([id, name]) => [name, parseInt(id)])
+);
+
+/**
+ * Key used to match films against the played set (same format as the board)
+ */
+function playedKey(movie) {
+  return `${movie.title} (${movie.year})`.toLowerCase();
+}
+
+/**
+ * Setup phase is the profile's first few turns (movies on board including starter)
+ */
+function isSetupCount(count, rules) {
+  return count <= rules.setupMovies;
+}
+
+/**
+ * Whether a move with count movies on the board has to pass eligibility
+ */
+function needsEligibility(count, rules) {
+  return isSetupCount(count, rules) && rules.eligibilityPool === 'top5000';
+}
+
+/**
+ * Check if a movie matches the priority filters
+ *
+ * filters is { genres, decade, expression } where expression is optional
+ * filter-expression text (filter-expressions.js), AND-ed with the rest.
+ * Returns null when only metadata the movie doesn't have yet can decide.
+ */
+function matchesPriorityFilter(movie, filters) {
+  const expression = compileFilterExpression(filters.expression);
+  if (filters.genres.length === 0 && !filters.decade && !expression) {
+    return false; // No filter active
+  }
+  
+  // Check all genre filters (must match ALL selected)
+  for (const genreName of filters.genres) {
+    const genreId = GENRE_IDS[genreName];
+    if (!movie.genres.includes(genreId)) {
+      return false;
+    }
+  }
+  
+  // Check decade filter
+  if (filters.decade) {
+    const movieDecade = Math.floor(movie.year / 10) * 10;
+    if (movieDecade !== filters.decade) {
+      return false;
+    }
+  }
+  
+  return expression ? evaluateFilterExpression(expression, movie) : true;
+}
+
+/**
+ * Generate ranked connection options from the current movie's data
+ *
+ * state is { played, count, usage, filters, weights, eligibility, rules,
+ * metadata }: the played set (board keys), movies on the board, link uses by
+ * person id, priority filters, scoring weights (scoring.js, the default
+ * preset if left out), the stored Top 5000 data, the active rules profile and
+ * any TMDB metadata loaded for filter expressions, by movie id. Options come
+ * back best score first; filterPending marks ones the filter can't judge
+ * until their metadata is loaded.
+ */
+function rankOptions(movieData, state) {
+  if (!movieData || !movieData.filmographies) return [];
+  
+  const { played, count, usage, filters, rules } = state;
+  const weights = state.weights || SCORING_PRESETS[DEFAULT_SCORING_PRESET].weights;
+  const options = [];
+  const currentYear = new Date().getFullYear();
+  const inSetup = needsEligibility(count, rules);
+  const checkEligibility = createEligibilityCheck(state.eligibility);
+  
+  // Every person on the current movie that appears in each candidate's credits
+  const peopleByMovie = new Map();
+  
+  for (const person of movieData.people) {
+    const filmography = movieData.filmographies[person.id];
+    if (!filmography) continue;
+    
+    const timesUsed = usage[person.id] || 0;
+    
+    for (const credit of filmography.credits) {
+      if (!peopleByMovie.has(credit.id)) peopleByMovie.set(credit.id, []);
+      peopleByMovie.get(credit.id).push({ person, filmography, credit, timesUsed });
+    }
+    
+    // Skip if used up
+    if (timesUsed >= rules.linkCap) continue;
+    
+    for (const credit of filmography.credits) {
+      // Skip if already played
+      if (played.has(playedKey(credit))) continue;
+      
+      // Skip unreleased movies
+      if (credit.year >= currentYear) continue;
+      
+      // Skip the current movie
+      if (credit.id === movieData.id) continue;
+      
+      // During setup phase, only show eligible films
+      const eligibility = checkEligibility(credit);
+      if (inSetup && !eligibility.eligible) continue;
+      
+      const priorityMatch = matchesPriorityFilter(withFilterMetadata(credit, state.metadata?.[credit.id]), filters);
+      
+      options.push({
+        movie: {
+          id: credit.id,
+          title: credit.title,
+          year: credit.year,
+          genres: credit.genres,
+          popularity: credit.popularity
+        },
+        via: {
+          id: person.id,
+          name: person.name,
+          creditCount: filmography.creditCount,
+          timesUsed: timesUsed,
+          // The person's counted roles here and on the candidate
+          roles: person.roles || [],
+          creditRoles: credit.roles || [credit.role]
+        },
+        isPriority: priorityMatch === true,
+        filterPending: priorityMatch === null,
+        isTop5000: eligibility.eligible,
+        eligibility: eligibility
+      });
+    }
+  }
+  
+  // Deepest link first, so deduping keeps it as each movie's "via"
+  options.sort((a, b) => b.via.creditCount - a.via.creditCount);
+  
+  // Dedupe movies (keep the deepest connection for each)
+  const seen = new Set();
+  const deduped = [];
+  for (const opt of options) {
+    if (!seen.has(opt.movie.id)) {
+      seen.add(opt.movie.id);
+      deduped.push(opt);
+    }
+  }
+  
+  // Annotate each option with how many replies it leaves the opponent
+  const replyContext = {
+    movieId: movieData.id,
+    played,
+    peopleByMovie,
+    currentYear,
+    opponentInSetup: needsEligibility(count + 1, rules),
+    linkCap: rules.linkCap,
+    checkEligibility
+  };
+  const scoringContext = { inSetup, linkCap: rules.linkCap, currentYear };
+  for (const opt of deduped) {
+    const shared = peopleByMovie.get(opt.movie.id) || [];
+    opt.sharedWith = shared.map(s => s.person.id);
+    opt.sharedPeople = shared
+      .map(s => ({
+        id: s.person.id,
+        name: s.person.name,
+        creditCount: s.filmography.creditCount,
+        timesUsed: s.timesUsed,
+        usesLeft: Math.max(0, rules.linkCap - s.timesUsed),
+        roles: s.person.roles || [],
+        creditRoles: s.credit.roles || [s.credit.role]
+      }))
+      .sort((a, b) => b.creditCount - a.creditCount);
+    opt.linkStrength = linkStrength(opt.sharedPeople, rules.linkCap);
+    opt.opponentReplies = estimateOpponentReplies(opt, replyContext);
+    opt.isTrap = opt.opponentReplies <= TRAP_REPLY_THRESHOLD;
+    Object.assign(opt, scoreOption(opt, weights, scoringContext));
+  }
+  
+  // Best score first, ties to the deeper link
+  deduped.sort((a, b) => b.score - a.score || b.via.creditCount - a.via.creditCount);
+  
+  return deduped;
+}
+
+/**
+ * How many ways out an option's own links leave the opponent
+ *
+ * Playing it burns one use of every shared person, so the strength is the
+ * uses they have left afterwards, summed: 0 means the play spends every
+ * link it has, and a high number means several people the opponent can
+ * still reply through.
+ */
+function linkStrength(sharedPeople, linkCap) {
+  return sharedPeople.reduce((sum, person) => sum + Math.max(0, linkCap - person.timesUsed - 1), 0);
+}
+
+/**
+ * A shared person's uses as the sidebar shows them, e.g. "2 left" or "last use"
+ */
+function describeUsesLeft(person) {
+  if (person.usesLeft === 0) return 'spent';
+  if (person.usesLeft === 1) return 'last use';
+  return `${person.usesLeft} left`;
+}
+
+/**
+ * Estimate the opponent's branching factor after we play an option
+ *
+ * Playing a movie burns one use of every person it shares with the current
+ * movie. The opponent can then reply through any of those people that still
+ * have uses left. We only hold filmographies for the current movie's people,
+ * so links the candidate doesn't share with it aren't counted - treat the
+ * result as a lower bound that's useful for comparing options.
+ */
+function estimateOpponentReplies(option, context) {
+  const { movieId, played, peopleByMovie, currentYear, opponentInSetup, linkCap, checkEligibility } = context;
+  const shared = peopleByMovie.get(option.movie.id) || [];
+  const replies = new Set();
+  
+  for (const { filmography, timesUsed } of shared) {
+    // This play uses the link once more
+    if (timesUsed + 1 >= linkCap) continue;
+    
+    for (const credit of filmography.credits) {
+      if (credit.id === option.movie.id || credit.id === movieId) continue;
+      if (credit.year >= currentYear) continue;
+      if (played.has(playedKey(credit))) continue;
+      if (opponentInSetup && !checkEligibility(credit).eligible) continue;
+      replies.add(credit.id);
+    }
+  }
+  
+  return replies.size;
+}
+
+/**
+ * Find the film a typed answer means among the current movie's connections
+ *
+ * Accepts "Title" or "Title (Year)"; when several films share a title the
+ * best-known one wins unless a year was given.
+ */
+function findConnectedMovie(movieData, text) {
+  const parsed = parseTitleInput(text);
+  if (!parsed) return null;
+  
+  const wanted = normalizeTitle(parsed.title);
+  const matches = new Map();
+  
+  for (const filmography of Object.values(movieData.filmographies)) {
+    for (const credit of filmography.credits) {
+      if (normalizeTitle(credit.title) !== wanted) continue;
+      if (parsed.year && credit.year !== parsed.year) continue;
+      matches.set(credit.id, credit);
+    }
+  }
+  
+  return Array.from(matches.values()).sort((a, b) => b.popularity - a.popularity)[0] || null;
+}
+
+/**
+ * Check whether a movie is a legal reply to the current movie
+ *
+ * Takes the same state as rankOptions(). Returns { legal, reason, via } where
+ * via is every person the two movies share as { id, name } (all of them are
+ * burned by the play, spent or not).
+ */
+function checkMove(movieData, movie, state) {
+  const { played, count, usage, rules } = state;
+  const via = [];
+  let usable = false;
+  
+  for (const person of movieData.people) {
+    const filmography = movieData.filmographies[person.id];
+    if (!filmography || !filmography.credits.some(c => c.id === movie.id)) continue;
+    
+    via.push({ id: person.id, name: person.name });
+    if ((usage[person.id] || 0) < rules.linkCap) usable = true;
+  }
+  
+  if (movie.id === movieData.id || played.has(playedKey(movie))) {
+    return { legal: false, reason: 'Already played', via };
+  }
+  if (via.length === 0) {
+    return { legal: false, reason: `No shared cast or crew with ${movieData.title}`, via };
+  }
+  if (!usable) {
+    return { legal: false, reason: `Every shared link is used up (${rules.linkCap}/${rules.linkCap})`, via };
+  }
+  if (needsEligibility(count, rules) && !getEligibility(movie, state.eligibility).eligible) {
+    return { legal: false, reason: `Setup phase: ${ELIGIBILITY_POOLS[rules.eligibilityPool]}`, via };
+  }
+  
+  return { legal: true, reason: null, via };
+}
+
+/**
+ * How an option's link connects, e.g. "Director" or "Cast → Writer"
+ *
+ * A role the person has on both movies is named once; otherwise it's their
+ * role here, then on the candidate. Empty when the roles aren't known.
+ */
+function describeLinkRole(via) {
+  const shared = via.roles.find(role => via.creditRoles.includes(role));
+  if (shared) return creditRoleLabel(shared);
+  if (via.roles.length === 0 || via.creditRoles.filter(Boolean).length === 0) return '';
+  return `${creditRoleLabel(via.roles[0])} → ${creditRoleLabel(via.creditRoles[0])}`;
+}
+
+/**
+ * Format genres for display
+ */
+function formatGenres(genreIds) {
+  return genreIds
+    .map(id => GENRES[id])
+    .filter(Boolean)
+    .slice(0, 3)
+    .join(', ');
+}
@@ -0,0 +1,38 @@
+/**
+ * Cine2Nerdle Helper - IndexedDB helpers
+ * Small promise wrappers shared by the service worker and extension pages
+ */
+
+/**
+ * Open (and if needed upgrade) a database
+ */
+function openDatabase(name, version, upgrade) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = event => upgrade(request.result, event.oldVersion, request.transaction);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Database ${name} is open in another tab`));
+  });
+}
+
+/**
+ * Resolve with a request's result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction has committed
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
@@ -0,0 +1,154 @@
+/**
+ * Cine2Nerdle Helper - Resumable Movie Jobs
+ * Board movie loads that survive the service worker being shut down
+ * (loaded by the background worker)
+ *
+ * Chrome stops an idle MV3 worker whenever it likes, taking every local
+ * variable with it. Each sidebar load runs as a job recorded in
+ * chrome.storage.session under `job:<localId>#<roles>`:
+ *   { localId, title, year, roles, movieId, updatedAt }
+ * A resumed job simply runs the load again: every filmography fetched before
+ * the shutdown is already in the cache, so those come back as cache hits and
+ * only the rest go to TMDB. When the worker starts again it resumes every
+ * stored job; a sidebar that reconnects attaches to the resumed job and is
+ * told it's resuming rather than starting over.
+ */
+
+// Jobs left over from longer ago than this are for boards that have moved on
+const MAX_JOB_AGE_MS = 10 * 60 * 1000;
+
+// Jobs running in this worker by job key, so sidebars asking for the same load share it
+const runningJobs = new Map();
+
+function movieJobKey(localId, roles) {
+  return `job:${localId}#${rolesSignature(roles)}`;
+}
+
+async function saveMovieJob(key, record) {
+  await chrome.storage.session.set({ [key]: { ...record, updatedAt: Date.now() } });
+}
+
+/**
+ * Stored jobs by key, dropping any too old to matter
+ */
+async function loadMovieJobs() {
+  const everything = await chrome.storage.session.get(null);
+  const jobs = {};
+  const stale = [];
+  
+  for (const [key, record] of Object.entries(everything)) {
+    if (!key.startsWith('job:')) continue;
+    if (Date.now() - record.updatedAt > MAX_JOB_AGE_MS) {
+      stale.push(key);
+    } else {
+      jobs[key] = record;
+    }
+  }
+  
+  if (stale.length > 0) await chrome.storage.session.remove(stale);
+  return jobs;
+}
+
+/**
+ * Start a job, or return the one already running for this movie and roles
+ *
+ * request is { title, year, localId, movie, roles } as for
+ * processMovieRequest(). stored is the job's record from before a restart,
+ * if any. The job keeps what each watcher needs to catch up: the start data
+ * and every filmography so far.
+ */
+function startMovieJob(request, stored = null) {
+  const key = movieJobKey(request.localId, request.roles);
+  const running = runningJobs.get(key);
+  if (running && !running.controller.signal.aborted) return running;
+  
+  const job = {
+    key,
+    resumed: Boolean(stored),
+    controller: new AbortController(),
+    watchers: new Set(),
+    start: null, // { data, total }
+    filmographies: new Map(),
+    promise: null
+  };
+  const record = stored || {
+    localId: request.localId,
+    title: request.title,
+    year: request.year,
+    roles: request.roles,
+    movieId: request.movie?.id ?? null
+  };
+  
+  // A resumed job already knows its film, so it never resolves the title twice
+  const movie = request.movie || (record.movieId !== null ? { id: record.movieId, title: record.title, year: record.year } : null);
+  
+  job.promise = processMovieRequest(request.title, request.year, request.localId, {
+    signal: job.controller.signal,
+    movie,
+    roles: request.roles,
+    onStart: (data, total) => {
+      job.start = { data, total };
+      // Remembered so a resumed job never resolves the title again
+      if (record.movieId !== data.id) {
+        record.movieId = data.id;
+        saveMovieJob(key, record).catch(err => console.error('[Helper] Failed to save job:', err));
+      }
+      for (const watcher of job.watchers) watcher.onStart(data, total);
+    },
+    onFilmography: (personId, filmography) => {
+      job.filmographies.set(personId, filmography);
+      for (const watcher of job.watchers) watcher.onFilmography(personId, filmography, job.filmographies.size);
+    }
+  });
+  
+  // Whatever the outcome the job is over; only a worker shutdown leaves it stored.
+  // A cancelled job may already have been replaced by a new one for the same load
+  job.promise
+    .finally(() => {
+      if (runningJobs.get(key) !== job) return;
+      runningJobs.delete(key);
+      return chrome.storage.session.remove(key);
+    })
+    .catch(() => {});
+  
+  runningJobs.set(key, job);
+  saveMovieJob(key, record).catch(err => console.error('[Helper] Failed to save job:', err));
+  return job;
+}
+
+/**
+ * Follow a job, catching up on anything it did before
+ *
+ * watcher is { onStart(data, total), onFilmography(personId, filmography,
+ * loaded) }. Returns a function that stops watching; the job is cancelled
+ * once nobody is watching it any more.
+ */
+function watchMovieJob(job, watcher) {
+  job.watchers.add(watcher);
+  
+  if (job.start) {
+    watcher.onStart(job.start.data, job.start.total);
+    let loaded = 0;
+    for (const [personId, filmography] of job.filmographies) {
+      watcher.onFilmography(personId, filmography, ++loaded);
+    }
+  }
+  
+  return () => {
+    job.watchers.delete(watcher);
+    if (job.watchers.size === 0) job.controller.abort();
+  };
+}
+
+/**
+ * Pick up every job a shut-down worker left stored
+ */
+async function resumeMovieJobs() {
+  const jobs = await loadMovieJobs();
+  
+  for (const [key, record] of Object.entries(jobs)) {
+    if (runningJobs.has(key)) continue;
+    console.log(`[Helper] Resuming ${record.localId}`);
+    startMovieJob(record, record);
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Cine2Nerdle Helper - Lookahead Search
+ * Game-tree search over the connection graph (loaded by the background worker)
+ *
+ * Nodes are movies; a move is any unplayed film reachable through a person on
+ * the current movie whose link still has uses left. Credits and filmographies
+ * are fetched lazily through the same cached helpers processMovieRequest()
+ * uses, so every search also warms the cache.
+ */
+
+// People considered per movie when expanding a node (most popular first). A
+// movie with more counted people can't be proven a dead end, since the ones
+// left out might still have replies
+const LOOKAHEAD_PEOPLE_PER_MOVIE = 12;
+
+// Replies explored per node - beyond this a position can't be proven lost
+const LOOKAHEAD_MAX_BRANCH = 10;
+
+const LOOKAHEAD_DEFAULT_BUDGET_MS = 8000;
+
+/**
+ * Thrown when the search runs past its time budget
+ */
+class LookaheadTimeout extends Error {}
+
+/**
+ * Key used to match films against the played set (same format as the board)
+ */
+function movieKey(movie) {
+  return `${movie.title} (${movie.year})`.toLowerCase();
+}
+
+/**
+ * List legal moves from a position
+ *
+ * Returns { moves, complete } where complete says every person on the movie
+ * was checked, so an empty or fully searched list proves something. With
+ * firstOnly, stops at the first legal move found, which is all a leaf needs
+ * to know and saves most of the fetching.
+ */
+async function listMoves(state, search, firstOnly = false) {
+  const { rules } = search;
+  const allPeople = await getMoviePeople(state.movie.id, rules.roles);
+  const people = allPeople.slice(0, LOOKAHEAD_PEOPLE_PER_MOVIE);
+  // Same rule as needsEligibility(): boardCount movies are on the board before this move
+  const inSetup = state.boardCount <= rules.setupMovies && rules.eligibilityPool === 'top5000';
+  const moves = new Map();
+  
+  for (const person of people) {
+    checkDeadline(search);
+    
+    const filmography = await getPersonFilmography(person, rules.roles);
+    const usable = (state.usage[person.id] || 0) < rules.linkCap;
+    
+    for (const credit of filmography.credits) {
+      if (credit.id === state.movie.id) continue;
+      if (credit.year >= search.currentYear) continue;
+      if (state.played.has(movieKey(credit))) continue;
+      if (inSetup && !search.checkEligibility(credit).eligible) continue;
+      
+      // Track every shared person, even spent ones: they're all burned by the play
+      if (!moves.has(credit.id)) {
+        moves.set(credit.id, { movie: credit, via: [], legal: false });
+      }
+      const move = moves.get(credit.id);
+      move.via.push(person.id);
+      if (usable) move.legal = true;
+    }
+    
+    if (firstOnly && Array.from(moves.values()).some(m => m.legal)) break;
+  }
+  
+  const legal = Array.from(moves.values()).filter(m => m.legal);
+  
+  // Obscure films are the likeliest dead ends, so try them first
+  legal.sort((a, b) => a.movie.popularity - b.movie.popularity);
+  
+  return { moves: legal, complete: people.length === allPeople.length };
+}
+
+/**
+ * Apply a move, returning the new position
+ */
+function applyMove(state, move) {
+  const usage = { ...state.usage };
+  for (const personId of move.via) {
+    usage[personId] = (usage[personId] || 0) + 1;
+  }
+  
+  const played = new Set(state.played);
+  played.add(movieKey(move.movie));
+  
+  return {
+    movie: move.movie,
+    usage,
+    played,
+    boardCount: state.boardCount + 1
+  };
+}
+
+function checkDeadline(search) {
+  if (Date.now() > search.deadline) {
+    throw new LookaheadTimeout();
+  }
+}
+
+/**
+ * Negamax over win/loss/unknown for the player to move
+ */
+async function solvePosition(state, depth, search) {
+  if (depth === 0) {
+    // Leaf: we only need to know whether the player to move is stuck
+    const { moves, complete } = await listMoves(state, search, true);
+    return moves.length === 0 && complete ? 'loss' : 'unknown';
+  }
+  
+  const { moves, complete } = await listMoves(state, search);
+  if (moves.length === 0) return complete ? 'loss' : 'unknown';
+  
+  // Replies through people we didn't check could escape, so only a full list can lose
+  let allWin = complete && moves.length <= LOOKAHEAD_MAX_BRANCH;
+  
+  for (const move of moves.slice(0, LOOKAHEAD_MAX_BRANCH)) {
+    const result = await solvePosition(applyMove(state, move), depth - 1, search);
+    if (result === 'loss') return 'win';
+    if (result !== 'win') allWin = false;
+  }
+  
+  return allWin ? 'loss' : 'unknown';
+}
+
+/**
+ * Describe a candidate's result for the sidebar
+ */
+function describeLookahead(outcome, depth) {
+  const moves = depth + 1;
+  if (outcome === 'loss') {
+    return moves === 1
+      ? 'Forces a dead end: opponent has no known reply'
+      : `Forces a dead end within ${moves} moves`;
+  }
+  if (outcome === 'win') {
+    return `Opponent can force you into a dead end within ${moves} moves`;
+  }
+  return `No forced result within ${moves} moves`;
+}
+
+/**
+ * Search each candidate with iterative deepening under a time budget
+ *
+ * request: {
+ *   movie: { id, title, year },           // current board movie
+ *   candidates: [{ id, title, year, popularity, via: [personId, ...] }],
+ *   played: ['title (year)', ...],         // lowercase board keys
+ *   usage: { personId: uses },
+ *   boardCount, depth, timeBudgetMs,
+ *   rules: { linkCap, setupMovies, roles, eligibilityPool }  // a rules profile
+ * }
+ *
+ * Setup-phase eligibility comes from the stored Top 5000 data.
+ *
+ * Returns { [candidateId]: { outcome, depth, explanation } } where outcome is
+ * from the opponent's point of view after our move ('loss' means we win).
+ */
+async function runLookahead(request) {
+  const search = {
+    rules: request.rules,
+    checkEligibility: createEligibilityCheck(await loadEligibility()),
+    currentYear: new Date().getFullYear(),
+    deadline: Date.now() + (request.timeBudgetMs || LOOKAHEAD_DEFAULT_BUDGET_MS)
+  };
+  
+  const root = {
+    movie: request.movie,
+    usage: request.usage || {},
+    played: new Set(request.played || []),
+    boardCount: request.boardCount
+  };
+  
+  const results = {};
+  
+  try {
+    for (let depth = 0; depth < request.depth; depth++) {
+      for (const candidate of request.candidates) {
+        const previous = results[candidate.id];
+        if (previous && previous.outcome !== 'unknown') continue;
+        
+        // The content script already knows who each candidate shares with us
+        const move = { movie: candidate, via: candidate.via };
+        const outcome = await solvePosition(applyMove(root, move), depth, search);
+        results[candidate.id] = {
+          outcome,
+          depth,
+          explanation: describeLookahead(outcome, depth)
+        };
+      }
+    }
+  } catch (err) {
+    if (!(err instanceof LookaheadTimeout)) throw err;
+  }
+  
+  return results;
+}
@@ -0,0 +1,216 @@
+/**
+ * Cine2Nerdle Helper - Match History
+ * Records each battle (chain, links, who moved, what the helper offered,
+ * outcome) to chrome.storage.local for the dashboard, and turns strong
+ * options the player passed over into flashcards
+ */
+
+// Keep the most recent games only; storage.local is capped
+const MAX_MATCHES = 200;
+
+// How many of the helper's top options to remember per turn
+const OFFERED_OPTIONS_RECORDED = 10;
+
+let currentMatch = null;
+let lastUpdateWasMyTurn = null;
+let offeredByTurn = {}; // Board length when offered -> top options
+let knownMovieInfo = {}; // Lowercase "title (year)" -> { id, genres }
+let lastFinishedMatchId = null; // For the sidebar's review button
+
+/**
+ * Remember metadata for a movie we've seen in loaded data or options
+ *
+ * Pass the board text as localId when it's known; TMDB's title can differ.
+ */
+function rememberMovieInfo(movie, localId = null) {
+  const key = (localId || `${movie.title} (${movie.year})`).toLowerCase();
+  knownMovieInfo[key] = { id: movie.id, genres: movie.genres || [] };
+}
+
+/**
+ * Remember the options the helper is currently showing for this turn
+ */
+function recordOfferedOptions(options) {
+  if (!isPlayerTurn()) return;
+  
+  const { count } = getPlayedMovies();
+  offeredByTurn[count] = options.slice(0, OFFERED_OPTIONS_RECORDED).map(opt => {
+    rememberMovieInfo(opt.movie);
+    return {
+      id: opt.movie.id,
+      title: opt.movie.title,
+      year: opt.movie.year,
+      via: opt.via.name,
+      creditCount: opt.via.creditCount,
+      people: opt.sharedPeople.slice(0, 2).map(({ id, name }) => ({ id, name })),
+      score: opt.score
+    };
+  });
+}
+
+/**
+ * Guess the outcome from the end screen, falling back to who moved last
+ */
+function detectOutcome(moves) {
+  const overText = getBattleOverText();
+  if (/you (won|win)|victory/i.test(overText)) return 'win';
+  if (/you (lost|lose)|defeat/i.test(overText)) return 'loss';
+  
+  // Whoever played last left the other player without a reply
+  const last = moves[moves.length - 1];
+  if (!last || last.mine === null) return 'unknown';
+  return last.mine ? 'win' : 'loss';
+}
+
+/**
+ * Turn strong options the player didn't play into flashcards
+ */
+function saveMissedCards(offered, sourceMovie, playedLocalId = null) {
+  addFlashcards(collectMissedCards(offered, sourceMovie, playedLocalId))
+    .then(added => {
+      if (added > 0) console.log(`[Helper] Added ${added} flashcards from ${sourceMovie.localId}`);
+    })
+    .catch(e => console.error('[Helper] Failed to save flashcards:', e));
+}
+
+/**
+ * Fill in unknown move owners by alternating back from a known one
+ *
+ * Happens when the helper was loaded mid-game.
+ */
+function backfillOwners(moves) {
+  const known = moves.findIndex((m, i) => i > 0 && m.mine !== null);
+  if (known === -1) return;
+  
+  for (let i = 1; i < moves.length; i++) {
+    if (moves[i].mine === null) {
+      moves[i].mine = (i - known) % 2 === 0 ? moves[known].mine : !moves[known].mine;
+    }
+  }
+}
+
+/**
+ * The current match's moves with owners and genres filled in as far as known
+ *
+ * Returns copies, so the recorder's own moves stay as observed.
+ */
+function getMatchMoves() {
+  if (!currentMatch) return [];
+  
+  const moves = currentMatch.moves.map(move => {
+    const info = knownMovieInfo[move.localId.toLowerCase()];
+    return { ...move, genres: move.genres || info?.genres || null };
+  });
+  backfillOwners(moves);
+  return moves;
+}
+
+/**
+ * Keep everyone each move burned on the current match, once the credits were checked
+ *
+ * moves are getUsedConnections() moves (move i leads into board movie i + 1).
+ * They're copied as they resolve because the sidebar resets its own link
+ * state when the game ends, before the match is saved.
+ */
+function recordMatchLinks(moves) {
+  if (!currentMatch) return;
+  
+  moves.forEach((links, index) => {
+    const move = currentMatch.moves[index + 1];
+    if (links.resolved && move?.localId === links.movie.localId) {
+      move.links = links.people.map(({ id, name }) => ({ id, name }));
+    }
+  });
+}
+
+/**
+ * Save the finished match
+ */
+async function finishMatch() {
+  const match = currentMatch;
+  const lastOffered = match && offeredByTurn[match.moves.length];
+  currentMatch = null;
+  offeredByTurn = {};
+  
+  // A board with only the starter isn't a game worth keeping
+  if (!match || match.moves.length < 2) return;
+  
+  backfillOwners(match.moves);
+  match.endedAt = Date.now();
+  match.outcome = detectOutcome(match.moves);
+  match.rules = activeRules;
+  lastFinishedMatchId = match.id;
+  
+  // The options we were showing when time ran out are the ones to learn
+  if (match.outcome === 'loss' && lastOffered) {
+    saveMissedCards(lastOffered, match.moves[match.moves.length - 1]);
+  }
+  
+  // Fill in anything we learned about movies after they were played
+  match.moves.forEach(move => {
+    const info = knownMovieInfo[move.localId.toLowerCase()];
+    if (info) {
+      move.id = move.id ?? info.id;
+      move.genres = move.genres || info.genres;
+    }
+  });
+  
+  try {
+    const { matchHistory = [] } = await chrome.storage.local.get(['matchHistory']);
+    matchHistory.push(match);
+    await chrome.storage.local.set({ matchHistory: matchHistory.slice(-MAX_MATCHES) });
+    console.log(`[Helper] Recorded ${match.outcome} in ${match.moves.length} moves`);
+  } catch (e) {
+    console.error('[Helper] Failed to save match:', e);
+  }
+}
+
+/**
+ * Follow the board on each change, appending new moves to the current match
+ */
+function trackMatch() {
+  if (isGameOver()) {
+    if (currentMatch) finishMatch();
+    lastUpdateWasMyTurn = null;
+    return;
+  }
+  
+  const chain = getBoardChain();
+  if (chain.length === 0) return;
+  
+  if (!currentMatch || chain.length < currentMatch.moves.length) {
+    currentMatch = { id: String(Date.now()), startedAt: Date.now(), moves: [] };
+    offeredByTurn = {};
+  }
+  
+  for (let i = currentMatch.moves.length; i < chain.length; i++) {
+    const entry = chain[i];
+    const isNewest = i === chain.length - 1;
+    // A move that lands between updates was made by whoever was on turn at the last one
+    const mine = i === 0 || !isNewest || lastUpdateWasMyTurn === null ? null : lastUpdateWasMyTurn;
+    const info = knownMovieInfo[entry.localId.toLowerCase()];
+    const offered = mine ? offeredByTurn[i] || null : null;
+    
+    if (offered) {
+      saveMissedCards(offered, currentMatch.moves[i - 1], entry.localId);
+    }
+    
+    // The game accepted it during a Top 5000 setup, so it's in the Top 5000
+    if (i > 0 && needsEligibility(i, activeRules)) {
+      learnEligibility(entry, true).catch(e => console.error('[Helper] Failed to save eligibility:', e));
+    }
+    
+    currentMatch.moves.push({
+      title: entry.title,
+      year: entry.year,
+      localId: entry.localId,
+      id: info?.id ?? null,
+      genres: info?.genres || null,
+      connections: entry.connections,
+      mine,
+      offered
+    });
+  }
+  
+  lastUpdateWasMyTurn = isPlayerTurn();
+}
@@ -0,0 +1,407 @@
+/**
+ * Cine2Nerdle Helper - Offline Movie Graph
+ * Local IndexedDB movie/person graph built from bulk dataset imports
+ *
+ * Stores:
+ *   movies  - { id, title, originalTitle, year, genres, popularity, titleKeys,
+ *               creditsComplete }
+ *   people  - { id, name, popularity, filmographyComplete }
+ *   credits - { movieId, personId, role } where role is 'cast', 'voice' or a crew job
+ *
+ * TMDB datasets keep numeric TMDB ids; IMDb datasets keep their tt/nm ids.
+ *
+ * A dataset rarely covers everything, so the graph records what it knows in
+ * full: creditsComplete on a movie imported with its whole cast and crew, and
+ * filmographyComplete on a person once every film TMDB lists for them has
+ * been found in the graph. Anything else is only part of the picture.
+ */
+
+const GRAPH_DB_NAME = 'cine2nerdle-graph';
+const GRAPH_DB_VERSION = 1;
+
+let graphDbPromise = null;
+
+function openGraphDb() {
+  if (!graphDbPromise) {
+    graphDbPromise = openDatabase(GRAPH_DB_NAME, GRAPH_DB_VERSION, db => {
+      const movies = db.createObjectStore('movies', { keyPath: 'id' });
+      movies.createIndex('titleKeys', 'titleKeys', { multiEntry: true });
+      
+      db.createObjectStore('people', { keyPath: 'id' });
+      
+      const credits = db.createObjectStore('credits', { keyPath: ['movieId', 'personId', 'role'] });
+      credits.createIndex('movieId', 'movieId');
+      credits.createIndex('personId', 'personId');
+    }).catch(err => {
+      graphDbPromise = null;
+      throw err;
+    });
+  }
+  return graphDbPromise;
+}
+
+/**
+ * Lookup keys for a movie ("title|year" for both display and original titles)
+ */
+function graphTitleKeys(movie) {
+  if (!movie.year) return [];
+  const titles = new Set([movie.title, movie.originalTitle].filter(Boolean));
+  return Array.from(titles, t => `${normalizeTitle(t)}|${movie.year}`);
+}
+
+/**
+ * Write a batch of movies, merging with anything already stored
+ *
+ * Datasets arrive in pieces (an ID export with popularity, a credits dump
+ * with years and genres), so fields from earlier imports are kept unless the
+ * new record has a value for them. Credits are only ever added, so a movie
+ * once imported with its full credits keeps creditsComplete.
+ */
+async function putGraphMovies(movies) {
+  const db = await openGraphDb();
+  const tx = db.transaction('movies', 'readwrite');
+  const store = tx.objectStore('movies');
+  
+  for (const movie of movies) {
+    store.get(movie.id).onsuccess = event => {
+      const merged = { ...event.target.result };
+      for (const [key, value] of Object.entries(movie)) {
+        if (value !== undefined && value !== null) merged[key] = value;
+      }
+      merged.creditsComplete = Boolean(event.target.result?.creditsComplete || movie.creditsComplete);
+      merged.titleKeys = graphTitleKeys(merged);
+      store.put(merged);
+    };
+  }
+  
+  await transactionDone(tx);
+}
+
+/**
+ * Write a batch of people, merging with anything already stored
+ *
+ * Like movies, fields from earlier imports are kept unless the new record has
+ * a value for them. Credits are only ever added, so a filmography once
+ * confirmed complete stays complete whatever is imported later.
+ */
+async function putGraphPeople(people) {
+  const db = await openGraphDb();
+  const tx = db.transaction('people', 'readwrite');
+  const store = tx.objectStore('people');
+  
+  for (const person of people) {
+    store.get(person.id).onsuccess = event => {
+      const merged = { ...event.target.result };
+      for (const [key, value] of Object.entries(person)) {
+        if (value !== undefined && value !== null) merged[key] = value;
+      }
+      merged.filmographyComplete = Boolean(event.target.result?.filmographyComplete || person.filmographyComplete);
+      store.put(merged);
+    };
+  }
+  
+  await transactionDone(tx);
+}
+
+/**
+ * Write a batch of credits
+ */
+async function putGraphCredits(credits) {
+  const db = await openGraphDb();
+  const tx = db.transaction('credits', 'readwrite');
+  const store = tx.objectStore('credits');
+  for (const credit of credits) {
+    store.put(credit);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Collect every movie id in the graph
+ */
+async function getGraphMovieIds() {
+  const db = await openGraphDb();
+  const keys = await promisifyRequest(db.transaction('movies').objectStore('movies').getAllKeys());
+  return new Set(keys);
+}
+
+/**
+ * Collect every distinct person id referenced by a credit
+ */
+async function getGraphCreditedPersonIds() {
+  const db = await openGraphDb();
+  const tx = db.transaction('credits');
+  const index = tx.objectStore('credits').index('personId');
+  const ids = new Set();
+  
+  await new Promise((resolve, reject) => {
+    const request = index.openKeyCursor(null, 'nextunique');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      ids.add(cursor.key);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  
+  return ids;
+}
+
+/**
+ * Whether a movie was imported with its full cast and crew
+ */
+async function isGraphMovieComplete(movieId) {
+  const movie = await getGraphMovie(movieId);
+  return Boolean(movie?.creditsComplete);
+}
+
+/**
+ * Whether a person's graph credits are known to be their whole filmography
+ */
+async function isGraphFilmographyComplete(personId) {
+  const db = await openGraphDb();
+  const person = await promisifyRequest(db.transaction('people').objectStore('people').get(personId));
+  return Boolean(person?.filmographyComplete);
+}
+
+/**
+ * Mark a person's filmography complete if the graph credits them on every
+ * one of movieIds (their full filmography from TMDB)
+ *
+ * Returns whether it did.
+ */
+async function confirmGraphFilmography(personId, movieIds) {
+  const db = await openGraphDb();
+  const tx = db.transaction(['credits', 'people'], 'readwrite');
+  const credited = new Set(await promisifyRequest(tx.objectStore('credits').index('personId').getAllKeys(personId))
+    .then(keys => keys.map(([movieId]) => movieId)));
+  const person = await promisifyRequest(tx.objectStore('people').get(personId));
+  const covered = Boolean(person) && movieIds.every(id => credited.has(id));
+  
+  if (covered) tx.objectStore('people').put({ ...person, filmographyComplete: true });
+  await transactionDone(tx);
+  return covered;
+}
+
+/**
+ * Count records in each store
+ */
+async function getGraphStats() {
+  const db = await openGraphDb();
+  const tx = db.transaction(['movies', 'people', 'credits']);
+  const [movies, people, credits] = await Promise.all([
+    promisifyRequest(tx.objectStore('movies').count()),
+    promisifyRequest(tx.objectStore('people').count()),
+    promisifyRequest(tx.objectStore('credits').count())
+  ]);
+  return { movies, people, credits };
+}
+
+/**
+ * Remove everything from the graph
+ */
+async function clearGraph() {
+  const db = await openGraphDb();
+  const tx = db.transaction(['movies', 'people', 'credits'], 'readwrite');
+  for (const name of ['movies', 'people', 'credits']) {
+    tx.objectStore(name).clear();
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Get a movie by id
+ */
+async function getGraphMovie(movieId) {
+  const db = await openGraphDb();
+  const movie = await promisifyRequest(db.transaction('movies').objectStore('movies').get(movieId));
+  return movie || null;
+}
+
+/**
+ * Find a movie by title and year
+ */
+async function findGraphMovie(title, year) {
+  const db = await openGraphDb();
+  const index = db.transaction('movies').objectStore('movies').index('titleKeys');
+  const matches = await promisifyRequest(index.getAll(`${normalizeTitle(title)}|${year}`));
+  
+  // Prefer the better-known film when two share a title and year
+  matches.sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
+  return matches[0] || null;
+}
+
+/**
+ * Pick a random well-known movie, or null if the graph has none
+ *
+ * Starts at a random offset and walks forward (wrapping once) to the first
+ * movie with a year and enough popularity, so a huge graph isn't read whole.
+ */
+async function getRandomGraphMovie(minPopularity) {
+  const db = await openGraphDb();
+  const total = await promisifyRequest(db.transaction('movies').objectStore('movies').count());
+  if (total === 0) return null;
+  
+  const start = Math.floor(Math.random() * total);
+  const isCandidate = movie => movie.year && (movie.popularity || 0) >= minPopularity;
+  
+  const scan = (offset, limit) => new Promise((resolve, reject) => {
+    let advanced = offset === 0;
+    let seen = 0;
+    const request = db.transaction('movies').objectStore('movies').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || seen >= limit) return resolve(null);
+      if (!advanced) {
+        advanced = true;
+        cursor.advance(offset);
+        return;
+      }
+      if (isCandidate(cursor.value)) return resolve(cursor.value);
+      seen++;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  
+  return await scan(start, total - start) || await scan(0, start);
+}
+
+/**
+ * Whether a stored credit counts as a connection
+ *
+ * The graph keeps every crew job it was given; callers pass the roles their
+ * rules profile counts ('cast' and crew jobs), same as the TMDB path.
+ */
+function isCountedGraphCredit(credit, roles) {
+  return roles.includes(credit.role);
+}
+
+/**
+ * Get the people credited on a movie in the same shape as buildPeopleList()
+ */
+async function getGraphMoviePeople(movieId, roles) {
+  const db = await openGraphDb();
+  const tx = db.transaction(['credits', 'people']);
+  const credits = (await promisifyRequest(tx.objectStore('credits').index('movieId').getAll(movieId)))
+    .filter(credit => isCountedGraphCredit(credit, roles));
+  if (credits.length === 0) return [];
+  
+  const peopleStore = tx.objectStore('people');
+  const peopleMap = new Map();
+  
+  // Cast first, like the TMDB path
+  credits.sort((a, b) => (a.role === 'cast' ? 0 : 1) - (b.role === 'cast' ? 0 : 1));
+  
+  for (const credit of credits) {
+    const existing = peopleMap.get(credit.personId);
+    if (existing) {
+      if (!existing.roles.includes(credit.role)) existing.roles.push(credit.role);
+      continue;
+    }
+    
+    const record = await promisifyRequest(peopleStore.get(credit.personId));
+    peopleMap.set(credit.personId, {
+      id: credit.personId,
+      name: record?.name || 'Unknown',
+      popularity: record?.popularity || 0,
+      roles: [credit.role]
+    });
+  }
+  
+  const people = Array.from(peopleMap.values());
+  people.sort((a, b) => b.popularity - a.popularity);
+  return people;
+}
+
+/**
+ * Get a person's filmography in the same shape as getPersonFilmography()
+ *
+ * Returns null when the graph has no credits for the person.
+ */
+async function getGraphFilmography(person, roles) {
+  const db = await openGraphDb();
+  const tx = db.transaction(['credits', 'movies']);
+  const credits = (await promisifyRequest(tx.objectStore('credits').index('personId').getAll(person.id)))
+    .filter(credit => isCountedGraphCredit(credit, roles));
+  if (credits.length === 0) return null;
+  
+  // Cast credits first so a movie's role prefers 'cast', like the TMDB path
+  credits.sort((a, b) => (a.role === 'cast' ? 0 : 1) - (b.role === 'cast' ? 0 : 1));
+  
+  const moviesStore = tx.objectStore('movies');
+  const byMovie = new Map();
+  
+  for (const credit of credits) {
+    const existing = byMovie.get(credit.movieId);
+    if (existing) {
+      if (!existing.roles.includes(credit.role)) existing.roles.push(credit.role);
+      continue;
+    }
+    
+    const movie = await promisifyRequest(moviesStore.get(credit.movieId));
+    if (!movie || !movie.year) continue; // Must have a release date
+    
+    byMovie.set(credit.movieId, {
+      id: movie.id,
+      title: movie.title,
+      year: movie.year,
+      genres: movie.genres || [],
+      popularity: movie.popularity || 0,
+      role: credit.role,
+      roles: [credit.role]
+    });
+  }
+  
+  const allCredits = Array.from(byMovie.values());
+  return {
+    id: person.id,
+    name: person.name,
+    creditCount: allCredits.length,
+    credits: allCredits
+  };
+}
+
+/**
+ * Build full movie data (every credited person, no cap) from the graph
+ *
+ * Returns null when the movie isn't in the graph so the caller can fall back
+ * to TMDB. With fullOnly it also returns null for a TMDB-keyed movie whose
+ * credits, or any of whose people's filmographies, the graph only has part
+ * of; IMDb-keyed data has nothing to fall back to, so it's used as it is.
+ */
+async function getGraphMovieData(title, year, localId, roles, movieId = null, fullOnly = false) {
+  // A remembered title mapping pins the exact movie
+  const movie = movieId ? await getGraphMovie(movieId) : await findGraphMovie(title, year);
+  if (!movie) return null;
+  
+  const needsFull = fullOnly && typeof movie.id === 'number';
+  if (needsFull && !movie.creditsComplete) return null;
+  
+  const people = await getGraphMoviePeople(movie.id, roles);
+  if (people.length === 0) return null;
+  
+  const filmographies = {};
+  for (const person of people) {
+    if (needsFull && !await isGraphFilmographyComplete(person.id)) return null;
+    const filmography = await getGraphFilmography(person, roles);
+    if (filmography) filmographies[person.id] = filmography;
+  }
+  
+  return {
+    id: movie.id,
+    title: movie.title,
+    year: year,
+    localId: localId,
+    genres: movie.genres || [],
+    people: people.map(p => ({
+      ...p,
+      creditCount: filmographies[p.id]?.creditCount || 0
+    })),
+    filmographies: filmographies,
+    source: 'graph',
+    complete: true,
+    cachedAt: Date.now()
+  };
+}
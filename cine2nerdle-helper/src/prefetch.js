@@ -0,0 +1,148 @@
+/**
+ * Cine2Nerdle Helper - Speculative Prefetch
+ * Warms the cache during the opponent's turn with the movies they're most
+ * likely to play next (loaded by the background worker)
+ *
+ * The opponent replies to the movie we just played, so its people's
+ * filmographies give their candidates. The likeliest are loaded in full
+ * through processMovieRequest(), so the next turn starts with a cache hit.
+ * Settings live in chrome.storage.local under `prefetchSettings`:
+ *   enabled       - whether to prefetch at all
+ *   requestBudget - TMDB requests one opponent turn may spend
+ *   candidates    - most replies to prefetch
+ * The popup loads this file for the settings helpers only.
+ */
+
+const DEFAULT_PREFETCH_SETTINGS = {
+  enabled: true,
+  requestBudget: 60,
+  candidates: 5
+};
+
+// Budgets beyond this would keep the rate limiter busy long into our own turn
+const MAX_PREFETCH_BUDGET = 400;
+const MAX_PREFETCH_CANDIDATES = 20;
+
+async function loadPrefetchSettings() {
+  const { prefetchSettings } = await chrome.storage.local.get(['prefetchSettings']);
+  return { ...DEFAULT_PREFETCH_SETTINGS, ...(prefetchSettings || {}) };
+}
+
+/**
+ * Check and store prefetch settings from the popup, throwing on bad values
+ */
+async function savePrefetchSettings(settings) {
+  const requestBudget = parseInt(settings.requestBudget);
+  const candidates = parseInt(settings.candidates);
+  if (!(requestBudget >= 0 && requestBudget <= MAX_PREFETCH_BUDGET)) {
+    throw new Error(`Request budget must be 0 to ${MAX_PREFETCH_BUDGET}`);
+  }
+  if (!(candidates >= 1 && candidates <= MAX_PREFETCH_CANDIDATES)) {
+    throw new Error(`Prefetch 1 to ${MAX_PREFETCH_CANDIDATES} replies`);
+  }
+  
+  await chrome.storage.local.set({ prefetchSettings: { enabled: Boolean(settings.enabled), requestBudget, candidates } });
+}
+
+/**
+ * The opponent's likeliest replies to a movie, likeliest first
+ *
+ * Opponents reach for films they know, so popular films come first, and a
+ * film shared by several people is easier to find. Links at the cap, played
+ * films, unreleased ones and (during setup) ineligible ones are left out.
+ */
+function rankLikelyReplies(movieData, { played, usage, boardCount, rules, checkEligibility }) {
+  const currentYear = new Date().getFullYear();
+  // Same rule as needsEligibility(): boardCount movies are on the board before the reply
+  const inSetup = boardCount <= rules.setupMovies && rules.eligibilityPool === 'top5000';
+  const replies = new Map();
+  
+  for (const person of movieData.people) {
+    const filmography = movieData.filmographies[person.id];
+    if (!filmography || (usage[person.id] || 0) >= rules.linkCap) continue;
+    
+    for (const credit of filmography.credits) {
+      if (credit.id === movieData.id || credit.year >= currentYear) continue;
+      if (played.has(movieKey(credit))) continue;
+      if (inSetup && !checkEligibility(credit).eligible) continue;
+      
+      const reply = replies.get(credit.id) || { movie: credit, links: 0 };
+      reply.links++;
+      replies.set(credit.id, reply);
+    }
+  }
+  
+  const likelihood = reply => (reply.movie.popularity || 0) * (1 + Math.log(reply.links));
+  return Array.from(replies.values())
+    .sort((a, b) => likelihood(b) - likelihood(a))
+    .map(reply => reply.movie);
+}
+
+/**
+ * Prefetch the opponent's likeliest replies within the request budget
+ *
+ * request: {
+ *   title, year, localId,       // the movie we just played
+ *   played: ['title (year)', ...],
+ *   usage: { personId: uses },
+ *   rules                        // the active rules profile
+ * }
+ *
+ * Loading our own movie counts against the budget too. Any request counts,
+ * so other work running at the same time only makes the prefetch stop
+ * sooner. Aborting the signal (our turn started) stops it quietly. Returns
+ * { prefetched: [localId, ...], requests, budgetHit }.
+ */
+async function prefetchLikelyReplies(request, signal) {
+  const settings = await loadPrefetchSettings();
+  const result = { prefetched: [], requests: 0, budgetHit: false };
+  if (!settings.enabled || settings.requestBudget === 0) return result;
+  
+  const startedAt = requestsStarted;
+  const controller = new AbortController();
+  signal.addEventListener('abort', () => controller.abort());
+  const checkBudget = () => {
+    result.requests = requestsStarted - startedAt;
+    if (result.requests >= settings.requestBudget) {
+      result.budgetHit = true;
+      controller.abort();
+    }
+  };
+  const roles = request.rules.roles;
+  
+  try {
+    const movieData = await processMovieRequest(request.title, request.year, request.localId, {
+      signal: controller.signal,
+      roles,
+      onFilmography: checkBudget
+    });
+    checkBudget();
+    
+    const candidates = rankLikelyReplies(movieData, {
+      played: new Set(request.played),
+      usage: request.usage || {},
+      boardCount: request.played.length,
+      rules: request.rules,
+      checkEligibility: createEligibilityCheck(await loadEligibility())
+    }).slice(0, settings.candidates);
+    
+    for (const movie of candidates) {
+      controller.signal.throwIfAborted();
+      const localId = `${movie.title} (${movie.year})`;
+      await processMovieRequest(movie.title, movie.year, localId, {
+        signal: controller.signal,
+        movie: { id: movie.id, title: movie.title, year: movie.year, genres: movie.genres },
+        roles,
+        onFilmography: checkBudget
+      });
+      result.prefetched.push(localId);
+      checkBudget();
+    }
+  } catch (err) {
+    if (!controller.signal.aborted) throw err;
+  }
+  
+  result.requests = requestsStarted - startedAt;
+  console.log(`[Helper] Prefetched ${result.prefetched.length} likely replies to ${request.localId} with ${result.requests} requests${result.budgetHit ? ' (budget hit)' : ''}`);
+  return result;
+}
@@ -0,0 +1,194 @@
+/**
+ * Cine2Nerdle Helper - Title Resolver
+ * Maps a board title and year to a TMDB movie (loaded by the background worker)
+ *
+ * Search results are scored on normalised title (display, original and
+ * alternative titles), year, and how well-known the film is. Low-confidence
+ * matches are flagged so the sidebar can ask the user, and the user's choice
+ * is remembered per board title along with the candidates it was picked
+ * from, so it can still be changed later.
+ */
+
+// Below this the sidebar asks the user to confirm the match
+const RESOLVER_CONFIDENT = 0.75;
+
+// Candidates returned to the sidebar picker
+const RESOLVER_MAX_CANDIDATES = 5;
+
+// Alternative titles are fetched for this many of the best candidates when
+// nothing matches the display or original title exactly
+const RESOLVER_ALT_TITLE_LOOKUPS = 3;
+
+/**
+ * Get the remembered TMDB movie for a board title, if any
+ */
+async function getTitleMapping(localId) {
+  const { titleMappings = {} } = await chrome.storage.local.get(['titleMappings']);
+  return titleMappings[localId] || null;
+}
+
+/**
+ * Remember the TMDB movie for a board title and the candidates it was picked from
+ */
+async function saveTitleMapping(localId, movie, candidates = []) {
+  const { titleMappings = {} } = await chrome.storage.local.get(['titleMappings']);
+  titleMappings[localId] = {
+    id: movie.id,
+    title: movie.title,
+    year: movie.year,
+    genres: movie.genres || [],
+    candidates: withChosenFirst(candidates, movie)
+  };
+  await chrome.storage.local.set({ titleMappings });
+}
+
+/**
+ * Candidates with the chosen movie first, since the sidebar shows the first as the match
+ */
+function withChosenFirst(candidates, movie) {
+  const chosen = candidates.find(c => c.id === movie.id) || {
+    id: movie.id,
+    title: movie.title,
+    originalTitle: null,
+    year: movie.year,
+    genres: movie.genres || [],
+    popularity: 0,
+    voteCount: 0,
+    score: 1
+  };
+  return [chosen, ...candidates.filter(c => c.id !== movie.id)];
+}
+
+/**
+ * Word-overlap similarity between two normalised titles (0-1)
+ */
+function titleSimilarity(a, b) {
+  if (a === b) return 1;
+  const wordsA = new Set(a.split(' '));
+  const wordsB = new Set(b.split(' '));
+  const shared = [...wordsA].filter(w => wordsB.has(w)).length;
+  return shared / new Set([...wordsA, ...wordsB]).size;
+}
+
+function releaseYear(result) {
+  return result.release_date ? parseInt(result.release_date.substring(0, 4)) : null;
+}
+
+/**
+ * Score a search result against the board title and year (0-1)
+ */
+function scoreCandidate(candidate, wanted, year) {
+  const titles = [candidate.title, candidate.original_title, ...(candidate.altTitles || [])]
+    .filter(Boolean)
+    .map(normalizeTitle);
+  const titleScore = Math.max(...titles.map(t => titleSimilarity(t, wanted)));
+  
+  const candidateYear = releaseYear(candidate);
+  const yearDiff = candidateYear === null ? Infinity : Math.abs(candidateYear - year);
+  const yearScore = yearDiff === 0 ? 1 : yearDiff === 1 ? 0.6 : 0;
+  
+  // Between two otherwise equal matches the board almost always means the known one
+  const fameScore = Math.min(1, Math.log10((candidate.vote_count || 0) + 1) / 4) * 0.7 +
+    Math.min(1, (candidate.popularity || 0) / 50) * 0.3;
+  
+  return titleScore * 0.55 + yearScore * 0.3 + fameScore * 0.15;
+}
+
+/**
+ * Confidence in the best match: its score, discounted when the runner-up is close
+ */
+function matchConfidence(scored) {
+  const [best, second] = scored;
+  if (!second) return best.score;
+  const margin = best.score - second.score;
+  return best.score * Math.min(1, 0.5 + margin / 0.3);
+}
+
+/**
+ * Resolve a board title to a TMDB movie
+ *
+ * Returns { movie: { id, title, year, genres }, confidence, needsConfirmation,
+ * source, candidates }. A remembered choice comes back with the candidates
+ * it was picked from so the sidebar can still offer "Wrong film?"; one saved
+ * before they were kept is searched again once to get them.
+ */
+async function resolveMovie(title, year, localId, signal = null) {
+  const remembered = await getTitleMapping(localId);
+  const rememberedResult = candidates => ({
+    movie: { id: remembered.id, title: remembered.title, year: remembered.year, genres: remembered.genres },
+    confidence: 1,
+    needsConfirmation: false,
+    source: 'remembered',
+    candidates
+  });
+  if (remembered?.candidates) {
+    return rememberedResult(remembered.candidates);
+  }
+  
+  // The year filter misses off-by-one release dates, so also search without it
+  const [withYear, anyYear] = await Promise.all([
+    searchMovie(title, year, signal),
+    searchMovie(title, null, signal)
+  ]);
+  
+  const byId = new Map();
+  for (const result of [...(withYear.results || []), ...(anyYear.results || [])]) {
+    byId.set(result.id, result);
+  }
+  if (byId.size === 0) {
+    throw new Error(`Movie not found: ${title} (${year})`);
+  }
+  
+  const wanted = normalizeTitle(title);
+  const scored = Array.from(byId.values())
+    .map(result => ({ result, score: scoreCandidate(result, wanted, year) }))
+    .sort((a, b) => b.score - a.score);
+  
+  // Translated or retitled films only match on alternative titles
+  const exactMatch = scored.some(({ result }) =>
+    [result.title, result.original_title].some(t => t && normalizeTitle(t) === wanted));
+  if (!exactMatch) {
+    await Promise.all(scored.slice(0, RESOLVER_ALT_TITLE_LOOKUPS).map(async entry => {
+      try {
+        const alt = await getAlternativeTitles(entry.result.id, signal);
+        entry.result.altTitles = (alt.titles || []).map(t => t.title);
+        entry.score = scoreCandidate(entry.result, wanted, year);
+      } catch (err) {
+        console.error(`[Helper] Failed to get alternative titles for ${entry.result.id}:`, err);
+      }
+    }));
+    scored.sort((a, b) => b.score - a.score);
+  }
+  
+  const candidates = scored.slice(0, RESOLVER_MAX_CANDIDATES).map(({ result, score }) => ({
+    id: result.id,
+    title: result.title,
+    originalTitle: result.original_title,
+    year: releaseYear(result),
+    genres: result.genre_ids || [],
+    popularity: result.popularity || 0,
+    voteCount: result.vote_count || 0,
+    score
+  }));
+  
+  if (remembered) {
+    await saveTitleMapping(localId, remembered, candidates);
+    return rememberedResult(withChosenFirst(candidates, remembered));
+  }
+  
+  const confidence = matchConfidence(scored);
+  const best = scored[0].result;
+  
+  return {
+    movie: {
+      id: best.id,
+      title: best.title,
+      year: releaseYear(best) || year,
+      genres: best.genre_ids || []
+    },
+    confidence,
+    needsConfirmation: confidence < RESOLVER_CONFIDENT,
+    source: 'search',
+    candidates
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * Cine2Nerdle Helper - Rules Profiles
+ * Per-mode battle rules: setup length, link cap, counted credit roles and the
+ * films setup allows
+ *
+ * Built-in profiles can be edited and custom ones added from the popup. Both
+ * live in chrome.storage.local under `rulesProfiles`:
+ *   profiles  - { id: profile } edits and custom modes, overriding built-ins
+ *   defaultId - profile used when the page doesn't say which mode it is
+ * A profile is { id, name, detect, setupMovies, linkCap, roles, eligibilityPool }
+ * where detect lists lowercase phrases that identify the mode on the page and
+ * roles lists credit roles: 'cast', 'voice' (voice cast, who also count as
+ * cast) and TMDB crew jobs.
+ */
+
+// Crew jobs Classic counts as a connection
+const CLASSIC_CREW_JOBS = ['Director', 'Writer', 'Screenplay', 'Director of Photography', 'Original Music Composer', 'Music'];
+
+// Roles the profile editor offers as toggles; any other TMDB job can be typed in
+const CREDIT_ROLES = [
+  { role: 'cast', label: 'Cast' },
+  { role: 'voice', label: 'Voice cast' },
+  { role: 'Director', label: 'Director' },
+  { role: 'Writer', label: 'Writer' },
+  { role: 'Screenplay', label: 'Screenplay' },
+  { role: 'Story', label: 'Story' },
+  { role: 'Novel', label: 'Novel author' },
+  { role: 'Characters', label: 'Characters' },
+  { role: 'Director of Photography', label: 'Cinematographer' },
+  { role: 'Editor', label: 'Editor' },
+  { role: 'Original Music Composer', label: 'Composer' },
+  { role: 'Music', label: 'Music' },
+  { role: 'Producer', label: 'Producer' },
+  { role: 'Executive Producer', label: 'Executive producer' },
+  { role: 'Casting', label: 'Casting' },
+  { role: 'Production Design', label: 'Production designer' }
+];
+
+// Which films may be played during setup
+const ELIGIBILITY_POOLS = {
+  top5000: 'Top 5000 films only',
+  any: 'Any film'
+};
+
+const BUILT_IN_RULES_PROFILES = {
+  classic: {
+    id: 'classic',
+    name: 'Classic',
+    detect: ['classic'],
+    setupMovies: 3,
+    linkCap: 3,
+    roles: ['cast', ...CLASSIC_CREW_JOBS],
+    eligibilityPool: 'top5000'
+  },
+  // Battle 2.0 adds win conditions on top of Classic's links and setup
+  battle2: {
+    id: 'battle2',
+    name: 'Battle 2.0',
+    detect: ['battle 2.0', 'win condition'],
+    setupMovies: 3,
+    linkCap: 3,
+    roles: ['cast', ...CLASSIC_CREW_JOBS],
+    eligibilityPool: 'top5000'
+  }
+};
+
+const DEFAULT_RULES_PROFILE_ID = 'classic';
+
+/**
+ * Built-in profiles merged with the user's edits and custom modes
+ *
+ * Returns { profiles, defaultId }.
+ */
+async function loadRulesProfiles() {
+  const { rulesProfiles } = await chrome.storage.local.get(['rulesProfiles']);
+  const profiles = { ...BUILT_IN_RULES_PROFILES, ...(rulesProfiles?.profiles || {}) };
+  const defaultId = profiles[rulesProfiles?.defaultId] ? rulesProfiles.defaultId : DEFAULT_RULES_PROFILE_ID;
+  return { profiles, defaultId };
+}
+
+/**
+ * The profile with this id, falling back to the default one
+ */
+function getRulesProfile(settings, id = null) {
+  return settings.profiles[id] || settings.profiles[settings.defaultId] || BUILT_IN_RULES_PROFILES[DEFAULT_RULES_PROFILE_ID];
+}
+
+/**
+ * Work out the mode from text scraped off the page
+ *
+ * The longest matching phrase wins, so "battle 2.0" beats a bare "battle".
+ * Returns a profile id, or null when nothing matches.
+ */
+function detectRulesProfile(pageText, settings) {
+  const text = pageText.toLowerCase();
+  let best = null;
+  let bestLength = 0;
+  
+  for (const profile of Object.values(settings.profiles)) {
+    for (const phrase of profile.detect) {
+      if (phrase.length > bestLength && text.includes(phrase)) {
+        best = profile.id;
+        bestLength = phrase.length;
+      }
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Check and tidy a profile from the editor, throwing on bad values
+ */
+function validateRulesProfile(profile) {
+  const name = (profile.name || '').trim();
+  if (!name) throw new Error('Give the profile a name');
+  
+  const setupMovies = parseInt(profile.setupMovies);
+  const linkCap = parseInt(profile.linkCap);
+  if (!(setupMovies >= 1)) throw new Error('Setup must cover at least the starting movie');
+  if (!(linkCap >= 1)) throw new Error('Links need at least one use');
+  
+  const roles = Array.from(new Set(profile.roles.map(role => role.trim()).filter(Boolean)));
+  if (roles.length === 0) throw new Error('Count at least one credit type');
+  if (!ELIGIBILITY_POOLS[profile.eligibilityPool]) throw new Error('Unknown eligibility pool');
+  
+  return {
+    id: profile.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `mode-${Date.now()}`,
+    name,
+    detect: profile.detect.map(phrase => phrase.trim().toLowerCase()).filter(Boolean),
+    setupMovies,
+    linkCap,
+    roles,
+    eligibilityPool: profile.eligibilityPool
+  };
+}
+
+async function saveRulesSettings(update) {
+  const { rulesProfiles = {} } = await chrome.storage.local.get(['rulesProfiles']);
+  await chrome.storage.local.set({ rulesProfiles: { profiles: {}, ...rulesProfiles, ...update(rulesProfiles) } });
+}
+
+/**
+ * Store an edited or new profile
+ */
+async function saveRulesProfile(profile) {
+  await saveRulesSettings(stored => ({ profiles: { ...stored.profiles, [profile.id]: profile } }));
+}
+
+/**
+ * Remove a custom profile, or put a built-in one back to its defaults
+ */
+async function deleteRulesProfile(id) {
+  await saveRulesSettings(stored => {
+    const profiles = { ...stored.profiles };
+    delete profiles[id];
+    return { profiles, defaultId: stored.defaultId === id && !BUILT_IN_RULES_PROFILES[id] ? null : stored.defaultId };
+  });
+}
+
+async function setDefaultRulesProfile(id) {
+  await saveRulesSettings(() => ({ defaultId: id }));
+}
+
+/**
+ * Display name for a credit role
+ */
+function creditRoleLabel(role) {
+  return CREDIT_ROLES.find(entry => entry.role === role)?.label || role;
+}
+
+/**
+ * The roles on a credit that a profile counts, in the credit's order
+ */
+function countedRoles(creditRoles, roles) {
+  return creditRoles.filter(role => roles.includes(role));
+}
+
+/**
+ * Stable text form of a role set, for cache keys and change checks
+ */
+function rolesSignature(roles) {
+  return roles.slice().sort().join(',');
+}
@@ -0,0 +1,156 @@
+/**
+ * Cine2Nerdle Helper - Request Scheduler
+ * Token-bucket rate limiting, bounded parallelism, retries and request
+ * coalescing for TMDB calls (loaded by the background worker)
+ */
+
+// TMDB allows 40 requests per 10 seconds: a full bucket refills over that window
+const BUCKET_CAPACITY = 40;
+const BUCKET_WINDOW_MS = 10000;
+
+const MAX_CONCURRENT_REQUESTS = 6;
+
+// 429s and 5xx responses are retried with exponential backoff
+const MAX_RETRIES = 4;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+let bucketTokens = BUCKET_CAPACITY;
+let bucketUpdatedAt = Date.now();
+let activeRequests = 0;
+let pausedUntil = 0; // Set by Retry-After so every request waits, not just the one that got a 429
+let pumpTimer = null;
+let requestsStarted = 0; // Fetches started, retries included, for callers working to a request budget
+
+const requestQueue = [];
+const inFlightRequests = new Map(); // URL -> promise, so concurrent callers share one fetch
+
+function refillBucket() {
+  const now = Date.now();
+  const refill = (now - bucketUpdatedAt) * BUCKET_CAPACITY / BUCKET_WINDOW_MS;
+  bucketTokens = Math.min(BUCKET_CAPACITY, bucketTokens + refill);
+  bucketUpdatedAt = now;
+}
+
+function schedulePump(delayMs) {
+  if (pumpTimer) return;
+  pumpTimer = setTimeout(() => {
+    pumpTimer = null;
+    pumpQueue();
+  }, delayMs);
+}
+
+/**
+ * Start as many queued requests as the bucket and concurrency limit allow
+ */
+function pumpQueue() {
+  while (requestQueue.length > 0 && activeRequests < MAX_CONCURRENT_REQUESTS) {
+    const now = Date.now();
+    if (now < pausedUntil) {
+      schedulePump(pausedUntil - now);
+      return;
+    }
+    
+    refillBucket();
+    if (bucketTokens < 1) {
+      schedulePump(Math.ceil((1 - bucketTokens) * BUCKET_WINDOW_MS / BUCKET_CAPACITY));
+      return;
+    }
+    
+    const task = requestQueue.shift();
+    
+    // Drop requests nobody is waiting for any more
+    if (task.signals.every(signal => signal && signal.aborted)) {
+      task.reject(new DOMException('Request cancelled', 'AbortError'));
+      continue;
+    }
+    
+    bucketTokens -= 1;
+    activeRequests++;
+    requestsStarted++;
+    runTask(task).finally(() => {
+      activeRequests--;
+      pumpQueue();
+    });
+  }
+}
+
+/**
+ * How long to wait before retrying, honouring Retry-After when present
+ */
+function retryDelay(response, attempt) {
+  const retryAfter = response && parseFloat(response.headers.get('Retry-After'));
+  if (retryAfter > 0) {
+    return retryAfter * 1000;
+  }
+  const backoff = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+function retryTask(task, response) {
+  const delay = retryDelay(response, task.attempt);
+  task.attempt++;
+  
+  if (response && response.status === 429) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+  }
+  
+  console.warn(`[Helper] Retrying ${task.url} in ${Math.round(delay)}ms (attempt ${task.attempt})`);
+  setTimeout(() => {
+    requestQueue.unshift(task);
+    pumpQueue();
+  }, delay);
+}
+
+async function runTask(task) {
+  let response;
+  try {
+    response = await fetch(task.url, task.init);
+  } catch (err) {
+    // Network failure: worth another go
+    if (task.attempt < MAX_RETRIES) return retryTask(task, null);
+    return task.reject(err);
+  }
+  
+  if ((response.status === 429 || response.status >= 500) && task.attempt < MAX_RETRIES) {
+    return retryTask(task, response);
+  }
+  
+  if (!response.ok) {
+    return task.reject(new Error(`${task.errorLabel}: ${response.status}`));
+  }
+  
+  try {
+    task.resolve(await response.json());
+  } catch (err) {
+    task.reject(err);
+  }
+}
+
+/**
+ * Queue a GET request and resolve with its JSON body
+ *
+ * Requests for a URL that's already in flight share the same promise. A
+ * queued request is dropped before it starts once every caller's signal has
+ * aborted; a caller without a signal keeps it alive.
+ */
+function scheduleRequest(url, init, errorLabel, signal = null) {
+  const existing = inFlightRequests.get(url);
+  if (existing) {
+    existing.task.signals.push(signal);
+    return existing.promise;
+  }
+  
+  const task = { url, init, errorLabel, attempt: 0, signals: [signal] };
+  const promise = new Promise((resolve, reject) => {
+    task.resolve = resolve;
+    task.reject = reject;
+    requestQueue.push(task);
+    pumpQueue();
+  }).finally(() => {
+    inFlightRequests.delete(url);
+  });
+  
+  inFlightRequests.set(url, { task, promise });
+  return promise;
+}
@@ -0,0 +1,165 @@
+/**
+ * Cine2Nerdle Helper - Scoring
+ * Weighted option scoring with strategy presets
+ *
+ * Each factor rates an option from 0 (worst) to 1 (best) and an option's
+ * score is the weighted average, out of 100. The strategy lives in
+ * chrome.storage.local under `scoringSettings`:
+ *   preset        - a SCORING_PRESETS id, or 'custom'
+ *   customWeights - { factor: weight } for the custom strategy
+ * Weights run from 0 (ignored) to MAX_SCORING_WEIGHT.
+ */
+
+// Links with this many credits rate as full depth
+const DEPTH_FULL_CREDITS = 150;
+
+// Opponent replies that rate branching at one half
+const BRANCHING_HALF_REPLIES = 10;
+
+// TMDB popularity that rates a film half obscure, and the age that rates it fully dated
+const OBSCURITY_HALF_POPULARITY = 10;
+const OBSCURITY_FULL_AGE_YEARS = 50;
+
+const MAX_SCORING_WEIGHT = 10;
+
+/**
+ * Factors, each rating an option from 0 to 1
+ *
+ * context is { inSetup, linkCap, currentYear } for the move being ranked.
+ */
+const SCORING_FACTORS = {
+  depth: {
+    name: 'Filmography depth',
+    rate: option => Math.min(1, Math.log1p(option.via.creditCount) / Math.log1p(DEPTH_FULL_CREDITS))
+  },
+  // How close the play takes its links to the cap, leaving the opponent fewer uses
+  scarcity: {
+    name: 'Link scarcity',
+    rate: (option, context) => {
+      const people = option.sharedPeople;
+      if (people.length === 0) return 0;
+      const spent = people.reduce((sum, person) => sum + Math.min(1, (person.timesUsed + 1) / context.linkCap), 0);
+      return spent / people.length;
+    }
+  },
+  // Only the setup phase turns answers away
+  eligibility: {
+    name: 'Eligibility confidence',
+    rate: (option, context) => context.inSetup ? option.eligibility.probability : 1
+  },
+  priority: {
+    name: 'Priority match',
+    rate: option => option.isPriority ? 1 : 0
+  },
+  branching: {
+    name: 'Few opponent replies',
+    rate: option => 1 / (1 + option.opponentReplies / BRANCHING_HALF_REPLIES)
+  },
+  obscurity: {
+    name: 'Age and obscurity',
+    rate: (option, context) => {
+      const unknown = 1 / (1 + (option.movie.popularity || 0) / OBSCURITY_HALF_POPULARITY);
+      const age = Math.min(1, Math.max(0, context.currentYear - option.movie.year) / OBSCURITY_FULL_AGE_YEARS);
+      return (unknown + age) / 2;
+    }
+  }
+};
+
+const SCORING_PRESETS = {
+  // Deep links first, much like the old depth sort
+  safe: {
+    name: 'Safe',
+    description: 'Deep links that keep your options open',
+    weights: { depth: 4, scarcity: 0, eligibility: 3, priority: 5, branching: 0, obscurity: 0 }
+  },
+  aggressive: {
+    name: 'Aggressive',
+    description: 'Moves that leave the opponent the fewest replies',
+    weights: { depth: 1, scarcity: 2, eligibility: 2, priority: 5, branching: 4, obscurity: 0 }
+  },
+  obscure: {
+    name: 'Obscure trap',
+    description: 'Old, little-known films with few replies',
+    weights: { depth: 1, scarcity: 1, eligibility: 2, priority: 5, branching: 3, obscurity: 4 }
+  }
+};
+
+const DEFAULT_SCORING_PRESET = 'safe';
+
+/**
+ * The stored strategy, as { preset, customWeights }
+ *
+ * Settings saved before presets existed only have a sort mode; the trap sort
+ * carries over as Aggressive.
+ */
+async function loadScoringSettings() {
+  const { scoringSettings, sortMode } = await chrome.storage.local.get(['scoringSettings', 'sortMode']);
+  const fallback = sortMode === 'trap' ? 'aggressive' : DEFAULT_SCORING_PRESET;
+  const preset = scoringSettings?.preset;
+  
+  return {
+    preset: (SCORING_PRESETS[preset] || (preset === 'custom' && scoringSettings.customWeights)) ? preset : fallback,
+    customWeights: scoringSettings?.customWeights || null
+  };
+}
+
+async function saveScoringSettings(update) {
+  const settings = await loadScoringSettings();
+  await chrome.storage.local.set({ scoringSettings: { ...settings, ...update } });
+}
+
+/**
+ * Weights for a strategy
+ */
+function getScoringWeights(settings) {
+  if (settings.preset === 'custom' && settings.customWeights) return settings.customWeights;
+  return (SCORING_PRESETS[settings.preset] || SCORING_PRESETS[DEFAULT_SCORING_PRESET]).weights;
+}
+
+/**
+ * Check and tidy custom weights from the editor, throwing on bad values
+ */
+function validateScoringWeights(weights) {
+  const tidy = {};
+  for (const [factor, { name }] of Object.entries(SCORING_FACTORS)) {
+    const weight = parseFloat(weights[factor] ?? 0);
+    if (!(weight >= 0 && weight <= MAX_SCORING_WEIGHT)) {
+      throw new Error(`${name} needs a weight from 0 to ${MAX_SCORING_WEIGHT}`);
+    }
+    tidy[factor] = weight;
+  }
+  
+  if (Object.values(tidy).every(weight => weight === 0)) throw new Error('Give at least one factor some weight');
+  return tidy;
+}
+
+/**
+ * Score an option with the given weights
+ *
+ * Returns { score, breakdown } where breakdown lists each weighted factor as
+ * { factor, name, rating, weight, points }; the points add up to the score.
+ */
+function scoreOption(option, weights, context) {
+  const total = Object.keys(SCORING_FACTORS).reduce((sum, factor) => sum + (weights[factor] || 0), 0);
+  const breakdown = [];
+  
+  for (const [factor, { name, rate }] of Object.entries(SCORING_FACTORS)) {
+    const weight = weights[factor] || 0;
+    if (weight === 0) continue;
+    
+    const rating = rate(option, context);
+    breakdown.push({ factor, name, rating, weight, points: total > 0 ? rating * weight / total * 100 : 0 });
+  }
+  
+  return { score: breakdown.reduce((sum, part) => sum + part.points, 0), breakdown };
+}
+
+/**
+ * Tooltip text for a score, one factor per line
+ */
+function describeScoreBreakdown(option) {
+  const lines = option.breakdown.map(part =>
+    `${part.name}: ${Math.round(part.rating * 100)}% × ${part.weight} → ${part.points.toFixed(1)}`
+  );
+  return [`Score ${Math.round(option.score)}/100`, ...lines].join('\n');
+}
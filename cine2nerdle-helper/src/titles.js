@@ -0,0 +1,30 @@
+/**
+ * Cine2Nerdle Helper - Titles
+ * Title normalisation shared by the movie graph, the resolver, the Top 5000
+ * list and answer checking
+ */
+
+/**
+ * Normalise a title for lookups: lowercase, no accents or punctuation
+ */
+function normalizeTitle(title) {
+  return title
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a typed answer: "Title" or "Title (Year)"
+ *
+ * Returns { title, year } with year null when not given, or null for blank
+ * input.
+ */
+function parseTitleInput(text) {
+  const match = text.trim().match(/^(.+?)\s*(?:\((\d{4})\))?$/);
+  if (!match) return null;
+  return { title: match[1], year: match[2] ? parseInt(match[2]) : null };
+}
@@ -0,0 +1,102 @@
+/**
+ * Cine2Nerdle Helper - Win Conditions
+ * Reads Battle 2.0 win conditions ("Play 3 Horror movies") into the
+ * priority-filter shape and counts progress toward them
+ *
+ * A condition is { text, genres, decade, target } where genres are GENRES
+ * names and decade is e.g. 1980. Conditions the parser can't read keep their
+ * text but have no filter, so they're shown without a counter.
+ */
+
+// Words the game might spell counts out with
+const COUNT_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+// Other ways the game might name a genre
+const GENRE_ALIASES = {
+  'science fiction': 'Sci-Fi',
+  'animated': 'Animation',
+  'documentaries': 'Documentary',
+  'musical': 'Music'
+};
+
+/**
+ * Parse one win condition's text
+ */
+function parseWinCondition(text) {
+  const lower = text.toLowerCase().replace(/\s+/g, ' ').trim();
+  
+  const number = lower.match(/\b(\d+|one|two|three|four|five|six|seven|eight|nine|ten)\b(?!s|'s|\d)/);
+  const target = number ? parseInt(number[1]) || COUNT_WORDS[number[1]] : 1;
+  
+  const genres = Object.values(GENRES).filter(name => lower.includes(name.toLowerCase()));
+  for (const [alias, name] of Object.entries(GENRE_ALIASES)) {
+    if (lower.includes(alias) && !genres.includes(name)) genres.push(name);
+  }
+  
+  // "1980s", "80s" or "'80s"; two-digit decades before the 30s are this century
+  let decade = null;
+  const fullDecade = lower.match(/\b(1[89]|20)(\d)0s\b/);
+  const shortDecade = lower.match(/(?:^|[\s'‘’])(\d)0s\b/);
+  if (fullDecade) {
+    decade = parseInt(fullDecade[1] + fullDecade[2] + '0');
+  } else if (shortDecade) {
+    const digit = parseInt(shortDecade[1]);
+    decade = (digit < 3 ? 2000 : 1900) + digit * 10;
+  }
+  
+  return { text: text.trim(), genres, decade, target };
+}
+
+/**
+ * Whether the parser understood enough of the condition to track it
+ */
+function isTrackedCondition(condition) {
+  return condition.genres.length > 0 || condition.decade !== null;
+}
+
+/**
+ * A condition in the priority-filter shape
+ */
+function winConditionFilters(condition) {
+  return { genres: condition.genres.slice(), decade: condition.decade };
+}
+
+/**
+ * Short description for counters, e.g. "Horror + Comedy 1990s"
+ */
+function describeWinCondition(condition) {
+  const parts = [...condition.genres];
+  if (condition.decade) parts.push(`${condition.decade}s`);
+  return parts.join(' + ');
+}
+
+/**
+ * Count one player's moves that meet a condition
+ *
+ * moves are match-history moves ({ year, genres, mine }); the starter and
+ * moves whose genres aren't known yet can't count. Returns
+ * { count, target, unknown, complete, oneAway }.
+ */
+function winConditionProgress(condition, moves, mine) {
+  let count = 0;
+  let unknown = 0;
+  
+  for (const move of moves.slice(1)) {
+    if (move.mine !== mine) continue;
+    if (condition.genres.length > 0 && !move.genres) {
+      unknown++;
+      continue;
+    }
+    if (matchesPriorityFilter({ genres: move.genres || [], year: move.year }, winConditionFilters(condition))) {
+      count++;
+    }
+  }
+  
+  return {
+    count,
+    target: condition.target,
+    unknown,
+    complete: count >= condition.target,
+    oneAway: count === condition.target - 1
+  };
+}
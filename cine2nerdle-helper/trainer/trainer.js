@@ -0,0 +1,209 @@
+/**
+ * Cine2Nerdle Helper - Connection Trainer
+ * Reviews flashcards of missed connections, checking answers against
+ * cached filmographies
+ */
+
+const statusDiv = document.getElementById('status');
+const cardForm = document.getElementById('card-form');
+const cardEmpty = document.getElementById('card-empty');
+const answersDiv = document.getElementById('answers');
+const resultDiv = document.getElementById('result');
+const gradesDiv = document.getElementById('grades');
+const checkBtn = document.getElementById('check-btn');
+const revealBtn = document.getElementById('reveal-btn');
+const deleteBtn = document.getElementById('delete-btn');
+
+// Cards whose interval has reached this many days count as learned
+const LEARNED_INTERVAL_DAYS = 21;
+
+// Correct answers shown after a card is checked
+const EXAMPLES_SHOWN = 5;
+
+let flashcards = {};
+let queue = [];
+let current = null;
+
+function showStatus(message, type = 'info') {
+  statusDiv.textContent = message;
+  statusDiv.className = `status ${type}`;
+  statusDiv.style.display = 'block';
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+function movieLabel(movie) {
+  return `${movie.title} (${movie.year})`;
+}
+
+function updateStats() {
+  const cards = Object.values(flashcards);
+  document.getElementById('stat-due').textContent = dueFlashcards(flashcards).length;
+  document.getElementById('stat-total').textContent = cards.length;
+  document.getElementById('stat-learned').textContent =
+    cards.filter(card => card.interval >= LEARNED_INTERVAL_DAYS).length;
+}
+
+/**
+ * Films that answer the current card
+ *
+ * Connect cards need a film in both people's filmographies (other than the
+ * movie the card came from); filmography cards take any of the person's films.
+ */
+async function getValidAnswers(card) {
+  const filmographies = await Promise.all(card.people.map(async person => {
+    const response = await chrome.runtime.sendMessage({ type: 'getFilmography', person });
+    if (!response.success) throw new Error(response.error);
+    return response.filmography;
+  }));
+  
+  const [first, ...rest] = filmographies;
+  const sourceKey = movieLabel(card.source).toLowerCase();
+  return first.credits.filter(credit =>
+    rest.every(f => f.credits.some(c => c.id === credit.id)) &&
+    (card.type !== 'connect' || movieLabel(credit).toLowerCase() !== sourceKey)
+  );
+}
+
+/**
+ * Match an answer ("Title" or "Title (Year)") to one of the valid films
+ */
+function matchAnswer(text, valid) {
+  const parsed = parseTitleInput(text);
+  if (!parsed) return null;
+  
+  const wanted = normalizeTitle(parsed.title);
+  return valid.find(credit =>
+    normalizeTitle(credit.title) === wanted && (!parsed.year || credit.year === parsed.year)
+  ) || null;
+}
+
+function showExamples(valid) {
+  const examples = valid.length > 0
+    ? valid.slice().sort((a, b) => b.popularity - a.popularity).slice(0, EXAMPLES_SHOWN)
+    : current.examples;
+  return `<div class="examples">e.g. ${examples.map(m => escapeHtml(movieLabel(m))).join(', ')}</div>`;
+}
+
+/**
+ * Offer only the grades the answer supports: a miss can only be "Again"
+ */
+function showGrades(allowed) {
+  gradesDiv.querySelectorAll('[data-quality]').forEach(button => {
+    button.disabled = !allowed.includes(parseInt(button.dataset.quality));
+  });
+  gradesDiv.style.display = 'flex';
+  checkBtn.disabled = true;
+  revealBtn.disabled = true;
+}
+
+async function checkAnswers(event) {
+  event.preventDefault();
+  if (!current) return;
+  
+  const inputs = Array.from(answersDiv.querySelectorAll('input'));
+  if (inputs.every(input => !input.value.trim())) return;
+  
+  checkBtn.disabled = true;
+  resultDiv.textContent = 'Checking...';
+  
+  let valid;
+  try {
+    valid = await getValidAnswers(current);
+  } catch (err) {
+    resultDiv.textContent = '';
+    checkBtn.disabled = false;
+    showStatus(`Couldn't load filmographies: ${err.message}`, 'error');
+    return;
+  }
+  
+  // Each film only counts once
+  const matched = new Set();
+  for (const input of inputs) {
+    const film = input.value.trim() ? matchAnswer(input.value, valid) : null;
+    const ok = film && !matched.has(film.id);
+    if (ok) matched.add(film.id);
+    input.classList.toggle('correct', Boolean(ok));
+    input.classList.toggle('wrong', !ok);
+  }
+  
+  const needed = inputs.length;
+  const allCorrect = matched.size === needed;
+  resultDiv.innerHTML = (allCorrect ? '✅ Correct!' : `❌ ${matched.size}/${needed} correct.`) + showExamples(valid);
+  showGrades(allCorrect ? [3, 4, 5] : matched.size > 0 ? [1, 3] : [1]);
+}
+
+async function revealAnswers() {
+  if (!current) return;
+  
+  revealBtn.disabled = true;
+  try {
+    resultDiv.innerHTML = showExamples(await getValidAnswers(current));
+  } catch (err) {
+    resultDiv.innerHTML = showExamples([]);
+  }
+  showGrades([1]);
+}
+
+async function gradeCard(event) {
+  const button = event.target.closest('[data-quality]');
+  if (!button || !current) return;
+  
+  const card = scheduleFlashcard(flashcards[current.id], parseInt(button.dataset.quality));
+  flashcards = await saveFlashcard(card.id, card);
+  nextCard();
+}
+
+async function deleteCard() {
+  if (!current) return;
+  
+  flashcards = await saveFlashcard(current.id, null);
+  nextCard();
+}
+
+function nextCard() {
+  queue = dueFlashcards(flashcards);
+  current = queue[0] || null;
+  updateStats();
+  
+  if (!current) {
+    cardForm.style.display = 'none';
+    cardEmpty.style.display = 'block';
+    return;
+  }
+  
+  const answerCount = current.type === 'connect' ? 1 : FILMOGRAPHY_CARD_ANSWERS;
+  document.getElementById('prompt').textContent = flashcardPrompt(current);
+  document.getElementById('source').textContent = `Missed on ${movieLabel(current.source)}`;
+  answersDiv.innerHTML = Array.from({ length: answerCount }, () =>
+    '<input type="text" placeholder="Movie title, optionally with (year)" autocomplete="off">'
+  ).join('');
+  resultDiv.innerHTML = '';
+  gradesDiv.style.display = 'none';
+  checkBtn.disabled = false;
+  revealBtn.disabled = false;
+  
+  cardEmpty.style.display = 'none';
+  cardForm.style.display = 'block';
+  answersDiv.querySelector('input').focus();
+}
+
+async function loadTrainer() {
+  try {
+    flashcards = await loadFlashcards();
+    nextCard();
+  } catch (err) {
+    showStatus('Failed to load flashcards: ' + err.message, 'error');
+  }
+}
+
+cardForm.addEventListener('submit', checkAnswers);
+revealBtn.addEventListener('click', revealAnswers);
+deleteBtn.addEventListener('click', deleteCard);
+gradesDiv.addEventListener('click', gradeCard);
+
+loadTrainer();